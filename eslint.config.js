@@ -11,7 +11,8 @@ export default [
 			globals: {
 				...globals.browser,
 				L: 'readonly',
-				html2canvas: 'readonly'
+				html2canvas: 'readonly',
+				referencePoints: 'readonly'
 			}
 		},
 		rules: {
@@ -22,5 +23,12 @@ export default [
 			'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
 			'no-console': 'off'
 		}
+	},
+	{
+		// Declares the referencePoints global
+		files: ['navdata.js'],
+		rules: {
+			'no-unused-vars': 'off'
+		}
 	}
 ];
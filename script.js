@@ -90,9 +90,82 @@ const blueIcon = L.icon({
 	iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-blue.png'
 });
 
+// Green marker icon for positions derived from a radial/distance
+const greenIcon = L.icon({
+	...markerIconOptions,
+	iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png'
+});
+
+// Grey marker icon for replaced or cancelled NOTAMs
+const greyIcon = L.icon({
+	...markerIconOptions,
+	iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-grey.png'
+});
+
+// Violet marker icon for NOTAMs not yet valid at the selected time
+const violetIcon = L.icon({
+	...markerIconOptions,
+	iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-violet.png'
+});
+
+// Black marker icon for NOTAMs expired at the selected time
+const blackIcon = L.icon({
+	...markerIconOptions,
+	iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-black.png'
+});
+
+// Obstacle marker with a symbol for its type and its height label, coloured
+// by validity state (active, upcoming, expired or obsolete)
+function obstacleIcon(obstacle, state) {
+	const feet = obstacleHeightFeet(obstacle);
+	const label = feet != null ? `<span class="obstacle-height">${feet} ft</span>` : '';
+	return L.divIcon({
+		className: `obstacle-marker obstacle-${state}`,
+		html: `${obstacleSymbols[obstacle.type] || obstacleSymbols.other}${label}`,
+		iconSize: [48, 40],
+		iconAnchor: [24, 26],
+		popupAnchor: [0, -24]
+	});
+}
+
+// Obstacle symbols by type, drawn in the current colour
+const obstacleSymbols = {
+	crane: '<svg viewBox="0 0 24 26" width="24" height="26"><path d="M8 25V4M3 4h19M8 4l4-3M19 4v8" fill="none" stroke="currentColor" stroke-width="2.2"/><circle cx="8" cy="24" r="1.8" fill="currentColor"/></svg>',
+	'wind-turbine': '<svg viewBox="0 0 24 26" width="24" height="26"><path d="M12 10v15M12 10V2M12 10l-7 4M12 10l7 4" fill="none" stroke="currentColor" stroke-width="2.2"/><circle cx="12" cy="10" r="2" fill="currentColor"/></svg>',
+	mast: '<svg viewBox="0 0 24 26" width="24" height="26"><path d="M6 25L12 3l6 22" fill="none" stroke="currentColor" stroke-width="2.4"/><circle cx="12" cy="23" r="2" fill="currentColor"/></svg>',
+	other: '<svg viewBox="0 0 24 26" width="24" height="26"><path d="M5 25L12 5l7 20" fill="none" stroke="currentColor" stroke-width="2.4"/><circle cx="12" cy="23" r="2" fill="currentColor"/></svg>'
+};
+
+// Marker icons by kind of location group, obstacles having their own icon
+const markerIcons = {
+	position: redIcon,
+	qualifierLine: blueIcon,
+	derived: greenIcon,
+	obsolete: greyIcon,
+	upcoming: violetIcon,
+	expired: blackIcon
+};
+
+// Kind of marker drawn for a location group at a validity state, also used
+// as its legend entry
+function markerKind(group, state) {
+	if (group.obstacle && !group.hasQualifierLine && !group.hasDerived) return 'obstacle';
+	if (group.obsolete) return 'obsolete';
+	if (state === 'expired') return 'expired';
+	if (state === 'upcoming') return 'upcoming';
+	if (group.hasDerived) return 'derived';
+	return group.hasQualifierLine ? 'qualifierLine' : 'position';
+}
+
+const SOURCE_POINT_MIN_ZOOM = 12; // Minimum zoom when showing a coordinate clicked in a NOTAM text
 let markers = [];
+let drawnLegendKeys = new Set(); // Kinds of markers, areas and radii drawn on the map
+let briefingTime = new Date(); // Instant selected on the validity timeline
 let activeRadiusCircle = null; // Current radius circle on map
+let sourcePointMarker = null; // Point of the last clicked coordinate in a NOTAM text
 let polygons = []; // Polygons for area NOTAMs
+let notamFocusHandlers = new Map(); // NOTAM ID -> function showing it on the map
+let mapEntries = []; // Numbered list entries drawn on the map: { index, lat, lon, icaoCodes, notams }
 
 // On touch devices, when a tap misses a marker's DOM hit area (e.g. due to
 // rendering offset on Android), the tap falls through to the map background.
@@ -137,8 +210,18 @@ function formatDMS(lat, lon) {
 	return `${latDeg}°${latMin.toString().padStart(2, '0')}'${latSec.padStart(4, '0')}"${latDir} / ${lonDeg.toString().padStart(3, '0')}°${lonMin.toString().padStart(2, '0')}'${lonSec.padStart(4, '0')}"${lonDir}`;
 }
 
+// Parse a B)/C) date and time in UTC: "2026-02-24 00:00", or "2602240000"
+// (YYMMDDHHMM) as in raw ICAO and FAA NOTAMs
+function parseSectionDate(str) {
+	let m = str.match(/(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})/);
+	if (m) return new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]));
+	m = str.match(/(?:^|\D)(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?!\d)/);
+	if (m) return new Date(Date.UTC(2000 + +m[1], m[2] - 1, +m[3], +m[4], +m[5]));
+	return null;
+}
+
 // Parse NOTAM validity dates from B)/C) sections or SOFIA-Briefing DU/AU line
-// B)/C) format: 2026-02-24 00:00
+// B)/C) format: 2026-02-24 00:00 or 2602240000
 // DU/AU format: DU: 29 12 2025 16:06 AU: 30 06 2026 23:59 EST
 function parseNotamDates(sections, content) {
 	let start = null;
@@ -146,23 +229,17 @@ function parseNotamDates(sections, content) {
 	let permanent = false;
 	let estimated = false;
 
-	// Try B) and C) sections first (ICAO format: YYYY-MM-DD HH:MM)
+	// Try B) and C) sections first
 	if (sections.B) {
-		const m = sections.B.match(/(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})/);
-		if (m) {
-			start = new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]));
-		}
+		start = parseSectionDate(sections.B);
 	}
 	if (sections.C) {
 		if (/\bPERM\b/i.test(sections.C)) {
 			permanent = true;
 		} else {
-			const cStr = sections.C.replace(/\s*\bEST\b/i, '');
+			const cStr = sections.C.replace(/\s*EST\b/i, '');
 			if (cStr !== sections.C) estimated = true;
-			const m = cStr.match(/(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})/);
-			if (m) {
-				end = new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]));
-			}
+			end = parseSectionDate(cStr);
 		}
 	}
 
@@ -191,6 +268,339 @@ function parseNotamDates(sections, content) {
 	return { start, end, permanent, estimated };
 }
 
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY = 86400000;
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+// Schedules of NOTAMs without end date (PERM) are expanded over this many days
+const MAX_SCHEDULE_DAYS = 400;
+// Days after the briefing time searched for the next activation window of a
+// schedule shown in the list and popups
+const SCHEDULE_LOOKAHEAD_DAYS = 31;
+
+// Compute sunrise and sunset (UTC) for the day starting at dayStart (ms, 00:00 UTC)
+// using the sunrise equation. Returns null times when the sun does not rise or
+// set that day (polar night or midnight sun, flagged by alwaysUp).
+function computeSunTimes(dayStart, lat, lon) {
+	const rad = Math.PI / 180;
+	const julianDay = Math.round((dayStart + MS_PER_DAY / 2) / MS_PER_DAY + 2440587.5 - 2451545.0);
+	const meanSolarTime = julianDay - lon / 360;
+	const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+	const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+	const eclipticLon = (anomaly + center + 180 + 102.9372) % 360;
+	const transit = 2451545.0 + meanSolarTime + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * eclipticLon * rad);
+	const sinDecl = Math.sin(eclipticLon * rad) * Math.sin(23.4397 * rad);
+	const cosDecl = Math.cos(Math.asin(sinDecl));
+	const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(lat * rad) * sinDecl) / (Math.cos(lat * rad) * cosDecl);
+	if (cosHourAngle > 1) return { sunrise: null, sunset: null, alwaysUp: false };
+	if (cosHourAngle < -1) return { sunrise: null, sunset: null, alwaysUp: true };
+	const hourAngle = Math.acos(cosHourAngle) / rad;
+	const toMs = j => (j - 2440587.5) * MS_PER_DAY;
+	return {
+		sunrise: toMs(transit - hourAngle / 360),
+		sunset: toMs(transit + hourAngle / 360),
+		alwaysUp: false
+	};
+}
+
+// Split D) section text into schedule tokens
+// Example: "MON-FRI 0800-1700, SAT SR MINUS30-SS" ->
+// [MON, -, FRI, 0800-1700, ",", SAT, SR MINUS30-SS]
+function tokenizeSchedule(text) {
+	const tokenPattern = /((?:\d{4}|SR|SS)(?:\s*(?:PLUS|MINUS)\s*\d+)?\s*-\s*(?:\d{4}|SR|SS)(?:\s*(?:PLUS|MINUS)\s*\d+)?)|([A-Z][A-Z0-9]*)|\b(\d{4})\b|\b(\d{1,2})\b|([-,])|(\S)/g;
+	const tokens = [];
+	let m;
+	while ((m = tokenPattern.exec(text.toUpperCase())) !== null) {
+		if (m[1]) tokens.push({ type: 'time', value: m[1] });
+		else if (m[2]) tokens.push({ type: 'word', value: m[2] });
+		else if (m[3]) tokens.push({ type: 'clock', value: +m[3].substring(0, 2) * 60 + +m[3].substring(2) });
+		else if (m[4]) tokens.push({ type: 'day', value: parseInt(m[4], 10) });
+		else if (m[5]) tokens.push({ type: m[5] });
+		else if (m[6] !== '.') tokens.push({ type: 'other', value: m[6] });
+	}
+	return tokens;
+}
+
+// Parse one end of a schedule time range: HHMM, SR or SS with optional PLUS/MINUS minutes
+function parseScheduleTime(str) {
+	const m = str.trim().match(/^(?:(\d{2})(\d{2})|(SR|SS)(?:\s*(PLUS|MINUS)\s*(\d+))?)$/);
+	if (!m) return null;
+	if (m[1]) return { minutes: +m[1] * 60 + +m[2] };
+	const offset = m[5] ? (m[4] === 'MINUS' ? -m[5] : +m[5]) : 0;
+	return { sun: m[3], offset };
+}
+
+// Resolve a schedule time into ms for the given day, or null when the sun
+// event does not occur that day
+function resolveScheduleTime(time, dayStart, sunTimes) {
+	if (time.minutes != null) return dayStart + time.minutes * MS_PER_MINUTE;
+	const sun = sunTimes(dayStart);
+	if (sun.sunrise == null) {
+		// Midnight sun: SR at start of day, SS at end of day
+		if (!sun.alwaysUp) return null;
+		return time.sun === 'SR' ? dayStart : dayStart + MS_PER_DAY;
+	}
+	const base = time.sun === 'SR' ? sun.sunrise : sun.sunset;
+	return base + time.offset * MS_PER_MINUTE;
+}
+
+// Shorthand time windows: H24 (all day), HJ (sunrise to sunset), HN (sunset to sunrise)
+const scheduleWindowWords = {
+	H24: { start: { minutes: 0 }, end: { minutes: 24 * 60 } },
+	HJ: { start: { sun: 'SR', offset: 0 }, end: { sun: 'SS', offset: 0 } },
+	HN: { start: { sun: 'SS', offset: 0 }, end: { sun: 'SR', offset: 0 } },
+};
+const scheduleIgnoredWords = new Set(['DAILY', 'DLY', 'EVERY', 'AND']);
+
+// Parse D) section text into schedule elements. Each element selects days
+// (dates, weekdays, exclusions) and the time windows active on those days,
+// or holds continuous spans such as "FEB 01 0500-07 0500" or "MON 0700-FRI 2359".
+// Days without month refer to the month of the validity start.
+// Returns null when the text contains anything that is not understood.
+function parseScheduleElements(text, validityStart) {
+	const elements = [];
+	const newElement = () => ({
+		dates: [], weekdays: new Set(), exclDates: [], exclWeekdays: new Set(), times: [], spans: []
+	});
+	let cur = newElement();
+	let excluding = false;
+	let lastSelector = null; // Last date or weekday seen: { kind, value }
+	let pendingRange = false; // "-" seen after a date or weekday
+	let spanStart = null; // Selector and time starting a continuous span
+	let spanEnd = null;
+	let year = validityStart.getUTCFullYear();
+	let month = validityStart.getUTCMonth();
+	let lastDay = 0;
+	let monthExplicit = false;
+
+	const isComplete = e => e.times.length > 0 || e.spans.length > 0;
+	const finishElement = () => {
+		if (isComplete(cur)) elements.push(cur);
+		cur = newElement();
+		excluding = false;
+	};
+	const addSelector = (selector) => {
+		if (spanStart) {
+			spanEnd = selector;
+			return;
+		}
+		// A day selector after time windows starts a new element
+		if (isComplete(cur) && !excluding) finishElement();
+		if (selector.kind === 'date') {
+			const target = excluding ? cur.exclDates : cur.dates;
+			if (pendingRange && lastSelector && lastSelector.kind === 'date') {
+				target[target.length - 1].to = selector.value;
+			} else {
+				target.push({ from: selector.value, to: selector.value });
+			}
+		} else {
+			const target = excluding ? cur.exclWeekdays : cur.weekdays;
+			if (pendingRange && lastSelector && lastSelector.kind === 'weekday') {
+				for (let d = lastSelector.value; d !== selector.value; d = (d + 1) % 7) target.add(d);
+			}
+			target.add(selector.value);
+		}
+		lastSelector = selector;
+		pendingRange = false;
+	};
+	// Remove the last selector from the element, it starts a span instead
+	const takeLastSelector = () => {
+		if (!lastSelector) return null;
+		if (lastSelector.kind === 'date') {
+			cur.dates.pop();
+		} else {
+			cur.weekdays.delete(lastSelector.value);
+		}
+		return lastSelector;
+	};
+
+	for (const token of tokenizeSchedule(text)) {
+		if (token.type === 'time') {
+			const [from, to] = token.value.split(/\s*-\s*(?=\d{4}|SR|SS)/);
+			const start = parseScheduleTime(from);
+			const end = parseScheduleTime(to);
+			if (!start || !end || spanStart) return null;
+			excluding = false;
+			cur.times.push({ start, end });
+		} else if (token.type === 'clock') {
+			if (spanStart && spanEnd) {
+				cur.spans.push({ from: spanStart, to: { ...spanEnd, minutes: token.value } });
+				lastSelector = spanEnd;
+				spanStart = null;
+				spanEnd = null;
+			} else if (!spanStart && !pendingRange) {
+				const selector = takeLastSelector();
+				if (!selector) return null;
+				spanStart = { ...selector, minutes: token.value };
+			} else {
+				return null;
+			}
+		} else if (token.type === 'day') {
+			if (!monthExplicit && token.value < lastDay) {
+				// Day numbers wrapping around imply the next month
+				month++;
+				if (month > 11) {
+					month = 0;
+					year++;
+				}
+			}
+			monthExplicit = false;
+			lastDay = token.value;
+			addSelector({ kind: 'date', value: Date.UTC(year, month, token.value) });
+		} else if (token.type === '-') {
+			if (!spanStart) pendingRange = true;
+		} else if (token.type === ',') {
+			if (spanStart) return null;
+			if (isComplete(cur)) finishElement();
+			pendingRange = false;
+		} else if (token.type === 'word') {
+			const monthIndex = MONTH_NAMES.indexOf(token.value);
+			const weekday = WEEKDAY_NAMES.indexOf(token.value);
+			if (monthIndex >= 0) {
+				// Months before the validity start month belong to the next year
+				year = validityStart.getUTCFullYear() + (monthIndex < validityStart.getUTCMonth() ? 1 : 0);
+				month = monthIndex;
+				monthExplicit = true;
+				lastDay = 0;
+			} else if (weekday >= 0) {
+				addSelector({ kind: 'weekday', value: weekday });
+			} else if (scheduleWindowWords[token.value]) {
+				if (spanStart) return null;
+				excluding = false;
+				cur.times.push(scheduleWindowWords[token.value]);
+			} else if (token.value === 'EXC') {
+				excluding = true;
+				pendingRange = false;
+			} else if (!scheduleIgnoredWords.has(token.value)) {
+				return null;
+			}
+		} else {
+			return null;
+		}
+	}
+	if (spanStart) return null;
+	finishElement();
+	return elements;
+}
+
+// Expand a continuous span starting on the given day into an interval (ms).
+// Date spans occur once; weekday spans such as "MON 0700-FRI 2359" recur weekly.
+function expandScheduleSpan(span, dayStart) {
+	const { from, to } = span;
+	if (from.kind === 'date' && to.kind === 'date') {
+		if (dayStart !== from.value) return null;
+		return { start: from.value + from.minutes * MS_PER_MINUTE, end: to.value + to.minutes * MS_PER_MINUTE };
+	}
+	if (from.kind === 'weekday' && to.kind === 'weekday') {
+		if (new Date(dayStart).getUTCDay() !== from.value) return null;
+		let days = (to.value - from.value + 7) % 7;
+		if (days === 0 && to.minutes <= from.minutes) days = 7;
+		return {
+			start: dayStart + from.minutes * MS_PER_MINUTE,
+			end: dayStart + days * MS_PER_DAY + to.minutes * MS_PER_MINUTE
+		};
+	}
+	return null;
+}
+
+// Check if a day (ms at 00:00 UTC) is selected by a schedule element
+function scheduleElementMatchesDay(element, dayStart) {
+	const weekday = new Date(dayStart).getUTCDay();
+	const inDates = dates => dates.some(d => dayStart >= d.from && dayStart <= d.to);
+	if (element.dates.length > 0 && !inDates(element.dates)) return false;
+	if (element.weekdays.size > 0 && !element.weekdays.has(weekday)) return false;
+	if (inDates(element.exclDates) || element.exclWeekdays.has(weekday)) return false;
+	return true;
+}
+
+// Parse a D) section schedule into concrete UTC activation intervals within
+// the validity period (start/end Date, end null for PERM). SR/SS times are
+// computed at the given position. Only the days of the given period
+// ({ from, to } Dates) are expanded when given. Returns null when the schedule
+// cannot be parsed.
+// Example: "MON-FRI 0800-1700" -> [{ start: Mon 08:00, end: Mon 17:00 }, ...]
+function parseSchedule(text, start, end, position, period = null) {
+	if (!start) return null;
+	const elements = parseScheduleElements(text, start);
+	if (!elements || elements.length === 0) return null;
+
+	const usesSun = elements.some(e => e.times.some(t => t.start.sun || t.end.sun));
+	if (usesSun && !position) return null;
+	const sunCache = new Map();
+	const sunTimes = (dayStart) => {
+		if (!sunCache.has(dayStart)) {
+			sunCache.set(dayStart, computeSunTimes(dayStart, position.lat, position.lon));
+		}
+		return sunCache.get(dayStart);
+	};
+
+	const validFrom = start.getTime();
+	const validTo = end ? end.getTime() : validFrom + MAX_SCHEDULE_DAYS * MS_PER_DAY;
+	const from = period ? Math.max(validFrom, period.from.getTime()) : validFrom;
+	const to = period ? Math.min(validTo, period.to.getTime()) : validTo;
+	const firstDay = Math.floor(from / MS_PER_DAY) * MS_PER_DAY - MS_PER_DAY;
+	const lastDay = Math.min(to, validFrom + MAX_SCHEDULE_DAYS * MS_PER_DAY);
+
+	const candidates = [];
+	for (let day = firstDay; day <= lastDay; day += MS_PER_DAY) {
+		for (const element of elements) {
+			for (const span of element.spans) {
+				const interval = expandScheduleSpan(span, day);
+				if (interval) candidates.push(interval);
+			}
+			if (!scheduleElementMatchesDay(element, day)) continue;
+			for (const time of element.times) {
+				const from = resolveScheduleTime(time.start, day, sunTimes);
+				let to = resolveScheduleTime(time.end, day, sunTimes);
+				if (from == null || to == null) continue;
+				// Windows ending before they start run past midnight (e.g. 2200-0400)
+				if (to <= from) to += MS_PER_DAY;
+				candidates.push({ start: from, end: to });
+			}
+		}
+	}
+
+	const intervals = [];
+	for (const c of candidates) {
+		const clippedFrom = Math.max(c.start, from);
+		const clippedTo = Math.min(c.end, to);
+		if (clippedTo > clippedFrom) intervals.push({ start: clippedFrom, end: clippedTo });
+	}
+
+	// Sort and merge overlapping or adjacent intervals
+	intervals.sort((a, b) => a.start - b.start);
+	const merged = [];
+	for (const interval of intervals) {
+		const last = merged[merged.length - 1];
+		if (last && interval.start <= last.end) {
+			last.end = Math.max(last.end, interval.end);
+		} else {
+			merged.push({ ...interval });
+		}
+	}
+	return merged.map(i => ({ start: new Date(i.start), end: new Date(i.end) }));
+}
+
+// Activation intervals of a NOTAM D) schedule ({ text, start, end,
+// position }) within a period, or null when the schedule cannot be parsed
+function scheduleIntervals(schedule, from, to) {
+	return parseSchedule(schedule.text, schedule.start, schedule.end, schedule.position, { from, to });
+}
+
+// Find the activation window in progress at the given instant, or the next one
+function nextActivationWindow(intervals, at) {
+	const t = at.getTime();
+	return intervals.find(i => i.end.getTime() > t) || null;
+}
+
+// Format a date as "DD MMM HH:MM" in UTC
+function formatUtcDateTime(date) {
+	const day = date.getUTCDate().toString().padStart(2, '0');
+	const hours = date.getUTCHours().toString().padStart(2, '0');
+	const minutes = date.getUTCMinutes().toString().padStart(2, '0');
+	return `${day} ${MONTH_NAMES[date.getUTCMonth()]} ${hours}:${minutes}`;
+}
+
 // Parse Q) section content into a structured qualifier line object
 // Format: FIR / CODE / TRAFFIC / PURPOSE / SCOPE / LOWER/UPPER / COORDINATES
 // Example: LFFF / QWULW / IV / BO / W / 000/014 / 4840N00305E005
@@ -226,6 +636,396 @@ function parseQualifierLine(qContent) {
 	return { fir, code, traffic, purpose, scope, lower, upper, lat, lon, radius };
 }
 
+const METERS_TO_FEET = 3.28084;
+
+// Parse a vertical limit from an F)/G) section into a normalized object with
+// its height in feet (Infinity for UNL). FL are converted at 100 FT per level.
+// Examples: "SFC", "GND", "1400FT AMSL", "120M AGL", "FL195", "UNL"
+function parseVerticalLimit(text) {
+	const str = text.trim().toUpperCase().replace(/\.$/, '');
+	if (/^(?:SFC|GND)$/.test(str)) {
+		return { value: 0, unit: 'FT', reference: str, feet: 0 };
+	}
+	if (/^UNL(?:TD|IMITED)?$/.test(str)) {
+		return { value: Infinity, unit: 'FT', reference: 'UNL', feet: Infinity };
+	}
+	const fl = str.match(/^FL\s*(\d{1,3})$/);
+	if (fl) {
+		const value = parseInt(fl[1], 10);
+		return { value, unit: 'FL', reference: 'STD', feet: value * 100 };
+	}
+	const m = str.match(/^(\d+(?:[.,]\d+)?)\s*(FT|M)\b\s*(AMSL|MSL|AGL|SFC|GND)?$/);
+	if (m) {
+		const value = parseFloat(m[1].replace(',', '.'));
+		// Heights without reference are above mean sea level
+		const reference = /^(?:AGL|SFC|GND)$/.test(m[3] || '') ? 'AGL' : 'AMSL';
+		const feet = m[2] === 'M' ? Math.round(value * METERS_TO_FEET) : value;
+		return { value, unit: m[2], reference, feet };
+	}
+	return null;
+}
+
+// Convert a Q) line lower/upper flight level into a vertical limit
+// (000 is the surface, 999 is unlimited)
+function qualifierLevelToLimit(level, isUpper) {
+	if (isNaN(level)) return null;
+	if (level === 0 && !isUpper) {
+		return { value: 0, unit: 'FT', reference: 'SFC', feet: 0 };
+	}
+	if (level === 999 && isUpper) {
+		return { value: Infinity, unit: 'FT', reference: 'UNL', feet: Infinity };
+	}
+	return { value: level, unit: 'FL', reference: 'STD', feet: level * 100 };
+}
+
+// Build the vertical band of a NOTAM: F)/G) limits take precedence over the
+// Q) line flight levels. Returns null when neither is available.
+function parseVerticalLimits(sections, qualifier) {
+	let lower = sections.F ? parseVerticalLimit(sections.F) : null;
+	let upper = sections.G ? parseVerticalLimit(sections.G) : null;
+	const source = lower || upper ? 'FG' : 'Q';
+	if (!lower && qualifier) lower = qualifierLevelToLimit(qualifier.lower, false);
+	if (!upper && qualifier) upper = qualifierLevelToLimit(qualifier.upper, true);
+	if (!lower && !upper) return null;
+	return { lower, upper, source };
+}
+
+// Format a vertical limit for display (e.g. "SFC", "FL195", "1400 FT AMSL")
+function formatVerticalLimit(limit) {
+	if (!limit) return '?';
+	if (limit.reference === 'SFC' || limit.reference === 'GND' || limit.reference === 'UNL') {
+		return limit.reference;
+	}
+	if (limit.unit === 'FL') {
+		return `FL${limit.value.toString().padStart(3, '0')}`;
+	}
+	return `${limit.value} ${limit.unit} ${limit.reference}`;
+}
+
+// Format a vertical band for display (e.g. "SFC - 1400 FT AMSL")
+function formatVerticalLimits(limits) {
+	return `${formatVerticalLimit(limits.lower)} - ${formatVerticalLimit(limits.upper)}`;
+}
+
+// ICAO NOTAM Q-code subjects (second and third letters, ICAO Doc 8126)
+const qCodeSubjects = {
+	// AGA: lighting facilities
+	LA: 'Approach lighting system',
+	LB: 'Aerodrome beacon',
+	LC: 'Runway centre line lights',
+	LD: 'Landing direction indicator lights',
+	LE: 'Runway edge lights',
+	LF: 'Sequenced flashing lights',
+	LG: 'Pilot-controlled lighting',
+	LH: 'High intensity runway lights',
+	LI: 'Runway end identifier lights',
+	LJ: 'Runway alignment indicator lights',
+	LK: 'Category II components of approach lighting system',
+	LL: 'Low intensity runway lights',
+	LM: 'Medium intensity runway lights',
+	LP: 'Precision approach path indicator (PAPI)',
+	LR: 'All landing area lighting facilities',
+	LS: 'Stopway lights',
+	LT: 'Threshold lights',
+	LU: 'Helicopter approach path indicator',
+	LV: 'Visual approach slope indicator system (VASIS)',
+	LW: 'Heliport lighting',
+	LX: 'Taxiway centre line lights',
+	LY: 'Taxiway edge lights',
+	LZ: 'Runway touchdown zone lights',
+	// AGA: movement and landing area
+	MA: 'Movement area',
+	MB: 'Bearing strength',
+	MC: 'Clearway',
+	MD: 'Declared distances',
+	MG: 'Taxiing guidance system',
+	MH: 'Runway arresting gear',
+	MK: 'Parking area',
+	MM: 'Daylight markings',
+	MN: 'Apron',
+	MO: 'Stopbar',
+	MP: 'Aircraft stands',
+	MR: 'Runway',
+	MS: 'Stopway',
+	MT: 'Threshold',
+	MU: 'Runway turning bay',
+	MW: 'Strip/shoulder',
+	MX: 'Taxiway',
+	MY: 'Rapid exit taxiway',
+	// AGA: facilities and services
+	FA: 'Aerodrome',
+	FB: 'Friction measuring device',
+	FC: 'Ceiling measurement equipment',
+	FD: 'Docking system',
+	FE: 'Oxygen',
+	FF: 'Fire fighting and rescue',
+	FG: 'Ground movement control',
+	FH: 'Helicopter alighting area/platform',
+	FI: 'Aircraft de-icing',
+	FJ: 'Oils',
+	FL: 'Landing direction indicator',
+	FM: 'Meteorological service',
+	FO: 'Fog dispersal system',
+	FP: 'Heliport',
+	FS: 'Snow removal equipment',
+	FT: 'Transmissometer',
+	FU: 'Fuel availability',
+	FW: 'Wind direction indicator',
+	FZ: 'Customs/immigration',
+	// COM: communications and surveillance facilities
+	CA: 'Air/ground facility',
+	CB: 'Automatic dependent surveillance - broadcast (ADS-B)',
+	CC: 'Automatic dependent surveillance - contract (ADS-C)',
+	CD: 'Controller-pilot data link communications (CPDLC)',
+	CE: 'En-route surveillance radar',
+	CG: 'Ground controlled approach system (GCA)',
+	CL: 'Selective calling system (SELCAL)',
+	CM: 'Surface movement radar',
+	CP: 'Precision approach radar (PAR)',
+	CR: 'Surveillance radar element of precision approach radar system',
+	CS: 'Secondary surveillance radar (SSR)',
+	CT: 'Terminal area surveillance radar (TAR)',
+	// COM: instrument and microwave landing systems
+	IC: 'Instrument landing system (ILS)',
+	ID: 'DME associated with ILS',
+	IG: 'Glide path (ILS)',
+	II: 'Inner marker (ILS)',
+	IL: 'Localizer (ILS)',
+	IM: 'Middle marker (ILS)',
+	IN: 'Localizer (not associated with ILS)',
+	IO: 'Outer marker (ILS)',
+	IS: 'ILS category I',
+	IT: 'ILS category II',
+	IU: 'ILS category III',
+	IW: 'Microwave landing system (MLS)',
+	IX: 'Locator, outer (ILS)',
+	IY: 'Locator, middle (ILS)',
+	// COM: GNSS services
+	GA: 'GNSS airfield-specific operations',
+	GW: 'GNSS area-wide operations',
+	// COM: terminal and en-route navigation facilities
+	NA: 'All radio navigation facilities',
+	NB: 'Non-directional radio beacon (NDB)',
+	NC: 'DECCA',
+	ND: 'Distance measuring equipment (DME)',
+	NF: 'Fan marker',
+	NL: 'Locator',
+	NM: 'VOR/DME',
+	NN: 'TACAN',
+	NO: 'OMEGA',
+	NT: 'VORTAC',
+	NV: 'VOR',
+	NX: 'Direction finding station',
+	// RAC: airspace organization
+	AA: 'Minimum altitude',
+	AC: 'Control zone (CTR)',
+	AD: 'Air defence identification zone (ADIZ)',
+	AE: 'Control area (CTA)',
+	AF: 'Flight information region (FIR)',
+	AH: 'Upper control area (UTA)',
+	AL: 'Minimum usable flight level',
+	AN: 'Area navigation route',
+	AO: 'Oceanic control area (OCA)',
+	AP: 'Reporting point',
+	AR: 'ATS route',
+	AT: 'Terminal control area (TMA)',
+	AU: 'Upper flight information region (UIR)',
+	AV: 'Upper advisory area (UDA)',
+	AX: 'Significant point',
+	AZ: 'Aerodrome traffic zone (ATZ)',
+	// RAC: air traffic and VOLMET services
+	SA: 'Automatic terminal information service (ATIS)',
+	SB: 'ATS reporting office',
+	SC: 'Area control centre (ACC)',
+	SE: 'Flight information service (FIS)',
+	SF: 'Aerodrome flight information service (AFIS)',
+	SL: 'Flow control centre',
+	SO: 'Oceanic area control centre',
+	SP: 'Approach control service (APP)',
+	SS: 'Flight service station (FSS)',
+	ST: 'Aerodrome control tower (TWR)',
+	SU: 'Upper area control centre',
+	SV: 'VOLMET broadcast',
+	SY: 'Upper advisory service',
+	// RAC: air traffic procedures
+	PA: 'Standard instrument arrival (STAR)',
+	PB: 'Standard VFR arrival',
+	PC: 'Contingency procedures',
+	PD: 'Standard instrument departure (SID)',
+	PE: 'Standard VFR departure',
+	PF: 'Flow control procedure',
+	PH: 'Holding procedure',
+	PI: 'Instrument approach procedure',
+	PK: 'VFR approach procedure',
+	PL: 'Flight plan processing',
+	PM: 'Aerodrome operating minima',
+	PN: 'Noise operating restriction',
+	PO: 'Obstacle clearance altitude and height',
+	PR: 'Radio failure procedures',
+	PT: 'Transition altitude or transition level',
+	PU: 'Missed approach procedure',
+	PX: 'Minimum holding altitude',
+	PZ: 'ADIZ procedure',
+	// Navigation warnings: airspace restrictions
+	RA: 'Airspace reservation',
+	RD: 'Danger area',
+	RM: 'Military operating area',
+	RO: 'Overflying',
+	RP: 'Prohibited area',
+	RR: 'Restricted area',
+	RT: 'Temporary restricted area',
+	// Navigation warnings: warnings
+	WA: 'Air display',
+	WB: 'Aerobatics',
+	WC: 'Captive balloon or kite',
+	WD: 'Demolition of explosives',
+	WE: 'Exercises',
+	WF: 'Air refuelling',
+	WG: 'Glider flying',
+	WH: 'Blasting',
+	WJ: 'Banner/target towing',
+	WL: 'Ascent of free balloon',
+	WM: 'Missile, gun or rocket firing',
+	WO: 'Laser or light beam emission',
+	WP: 'Parachute jumping, paragliding or hang gliding',
+	WR: 'Radioactive materials or toxic chemicals',
+	WS: 'Burning or blowing gas',
+	WT: 'Mass movement of aircraft',
+	WU: 'Unmanned aircraft',
+	WV: 'Formation flight',
+	WW: 'Significant volcanic activity',
+	WY: 'Aerial survey',
+	WZ: 'Model flying',
+	// Other information
+	OA: 'Aeronautical information service',
+	OB: 'Obstacle',
+	OE: 'Aircraft entry requirements',
+	OL: 'Obstacle lights',
+	OR: 'Rescue coordination centre',
+	KK: 'Checklist',
+	XX: 'Other (plain language)',
+};
+
+// ICAO NOTAM Q-code conditions (fourth and fifth letters, ICAO Doc 8126)
+const qCodeConditions = {
+	// Availability
+	AC: 'withdrawn for maintenance',
+	AD: 'available for daylight operation',
+	AF: 'flight checked and found reliable',
+	AG: 'operating but ground checked only, awaiting flight check',
+	AH: 'hours of service changed',
+	AK: 'resumed normal operation',
+	AL: 'operative subject to previously published limitations',
+	AM: 'military operations only',
+	AN: 'available for night operation',
+	AO: 'operational',
+	AP: 'available, prior permission required',
+	AR: 'available on request',
+	AS: 'unserviceable',
+	AU: 'not available',
+	AW: 'completely withdrawn',
+	AX: 'previously promulgated shutdown cancelled',
+	// Changes
+	CA: 'activated',
+	CC: 'completed',
+	CD: 'deactivated',
+	CE: 'erected',
+	CF: 'operating frequency changed',
+	CG: 'downgraded',
+	CH: 'changed',
+	CI: 'identification or radio call sign changed',
+	CL: 'realigned',
+	CM: 'displaced',
+	CN: 'cancelled',
+	CO: 'operating',
+	CP: 'operating on reduced power',
+	CR: 'temporarily replaced',
+	CS: 'installed',
+	CT: 'on test, do not use',
+	// Hazard conditions
+	HA: 'braking action',
+	HB: 'friction coefficient',
+	HC: 'covered by compacted snow',
+	HD: 'covered by dry snow',
+	HE: 'covered by water',
+	HF: 'totally free of snow and ice',
+	HG: 'grass cutting in progress',
+	HH: 'hazard',
+	HI: 'covered by ice',
+	HJ: 'launch planned',
+	HK: 'bird migration in progress',
+	HL: 'snow clearance completed',
+	HM: 'marked',
+	HN: 'covered by wet snow or slush',
+	HO: 'obscured by snow',
+	HP: 'snow clearance in progress',
+	HQ: 'operation cancelled',
+	HR: 'standing water',
+	HS: 'sanding in progress',
+	HT: 'approach according to signal area only',
+	HU: 'launch in progress',
+	HV: 'work completed',
+	HW: 'work in progress',
+	HX: 'concentration of birds',
+	HY: 'snow banks exist',
+	HZ: 'covered by frozen ruts and ridges',
+	// Limitations
+	LA: 'operating on auxiliary power supply',
+	LB: 'reserved for aircraft based therein',
+	LC: 'closed',
+	LD: 'unsafe',
+	LE: 'operating without auxiliary power supply',
+	LF: 'interference',
+	LG: 'operating without identification',
+	LH: 'unserviceable for heavy aircraft',
+	LI: 'closed to IFR operations',
+	LK: 'operating as a fixed light',
+	LL: 'usable length and width limited',
+	LN: 'closed to all night operations',
+	LP: 'prohibited',
+	LR: 'aircraft restricted to runways and taxiways',
+	LS: 'subject to interruption',
+	LT: 'limited',
+	LV: 'closed to VFR operations',
+	LW: 'will take place',
+	LX: 'operating but caution advised',
+	// Other
+	TT: 'trigger NOTAM',
+	XX: 'see text',
+};
+
+// Decode a Q-code into plain-language subject and condition
+// Example: "QOBCE" -> { subject: "Obstacle", condition: "erected", description: "Obstacle – erected" }
+function decodeQCode(code) {
+	const m = code ? code.trim().toUpperCase().match(/^Q([A-Z]{2})([A-Z]{2})$/) : null;
+	if (!m) return null;
+	const subject = qCodeSubjects[m[1]] || null;
+	// Checklists (QKKKK) have no condition
+	const condition = m[2] === 'KK' ? null : qCodeConditions[m[2]] || null;
+	const description = m[2] === 'KK'
+		? subject || m[1]
+		: `${subject || m[1]} – ${condition || m[2]}`;
+	return { subject, condition, description };
+}
+
+// Q-code subject groups used by the filter panel, keyed by the first subject
+// letter; obstacle subjects (OB, OL) are grouped apart from other information
+const qCodeCategoryByLetter = {
+	L: 'aerodrome', M: 'aerodrome', F: 'aerodrome',
+	C: 'communications',
+	I: 'navaids', G: 'navaids', N: 'navaids',
+	A: 'airspace', S: 'airspace', P: 'airspace',
+	R: 'restrictions',
+	W: 'warnings',
+};
+
+// Get the subject group of a Q-code (e.g. "QOBCE" -> "obstacles")
+function qCodeCategory(code) {
+	const subject = code ? code.trim().toUpperCase().substring(1, 3) : '';
+	if (subject === 'OB' || subject === 'OL') return 'obstacles';
+	return qCodeCategoryByLetter[subject[0]] || 'other';
+}
+
 // Parse a DMS numeric string with the given number of degree digits into decimal degrees.
 // Handles both integer-tenths (e.g. 7 digits for lat) and explicit decimal (e.g. "4024.5").
 function parseDMSComponent(str, degDigits) {
@@ -254,7 +1054,12 @@ function parseDMSCoordinate(coordStr) {
 		match = coordStr.match(/(\d{6,7}(?:\.\d+)?)([NS])?(\d{7,8}(?:\.\d+)?)([EW])?/i);
 	}
 
+	// Otherwise try the other notations (hemisphere first, decimal minutes, etc.)
 	if (!match) {
+		for (const notation of coordinateNotations) {
+			const m = coordStr.match(new RegExp(notation.pattern.source));
+			if (m) return notation.parse(m);
+		}
 		return null;
 	}
 
@@ -306,6 +1111,117 @@ function parseDMSCoordinate(coordStr) {
 	return { lat, lon };
 }
 
+// Convert degrees, minutes and seconds (dot or comma decimals) to signed
+// decimal degrees, or null when out of range
+function dmsToDecimal(deg, min, sec, hemisphere, maxDeg) {
+	const d = parseFloat(deg.replace(',', '.'));
+	const m = min ? parseFloat(min.replace(',', '.')) : 0;
+	const s = sec ? parseFloat(sec.replace(',', '.')) : 0;
+	if (d > maxDeg || m >= 60 || s >= 60) return null;
+	const value = d + m / 60 + s / 3600;
+	return hemisphere.toUpperCase() === 'S' || hemisphere.toUpperCase() === 'W' ? -value : value;
+}
+
+// Build a coordinate from [degrees, minutes, seconds, hemisphere] parts
+function coordinateFromParts(latParts, lonParts) {
+	const lat = dmsToDecimal(...latParts, 90);
+	const lon = dmsToDecimal(...lonParts, 180);
+	return lat === null || lon === null ? null : { lat, lon };
+}
+
+// Compact DDMMSSN DDDMMSSE coordinates, e.g. 422726N 0064355W, 4227N 00643W,
+// 455554.997N 0060439.322E or 161514N0611540W
+const compactCoordPattern = /(\d{4,7}(?:\.\d+)?)([NS])\s+(\d{5,8}(?:\.\d+)?)([EW])|(\d{6})([NS])(\d{7})([EW])/gi;
+
+// Other coordinate notations found in NOTAMs. Hemisphere letters are
+// matched in upper case only to avoid matching words.
+const coordinateNotations = [
+	// Hemisphere after a space: 410850.23 N 0010922.27 E
+	{
+		pattern: /\b(\d{6,7}(?:\.\d+)?)\s([NS])\s+(\d{6,8}(?:\.\d+)?)\s([EW])\b/g,
+		parse: m => parseDMSCoordinate(`${m[1]}${m[2]} ${m[3]}${m[4]}`)
+	},
+	// Hemisphere first: N484512 E0020705, N450149.25 E0335842.70, N301332E0820722
+	{
+		pattern: /\b([NS])\s?(\d{6,7}(?:\.\d+)?)\s*[,/]?\s*([EW])\s?(\d{6,8}(?:\.\d+)?)(?![\d.])/g,
+		parse: m => parseDMSCoordinate(`${m[2]}${m[1]} ${m[4]}${m[3]}`)
+	},
+	// Degrees and decimal minutes: N48 45.3 E002 07.1
+	{
+		pattern: /\b([NS])\s?(\d{1,2})\s(\d{1,2}(?:\.\d+)?)'?\s*[,/]?\s*([EW])\s?(\d{1,3})\s(\d{1,2}(?:\.\d+)?)(?![\d.])'?/g,
+		parse: m => coordinateFromParts([m[2], m[3], null, m[1]], [m[5], m[6], null, m[4]])
+	},
+	// Degree, minute and second symbols: 48°45'12"N 002°07'05"E, N48°45.3' E002°07.1'
+	{
+		pattern: /(?:\b([NS])\s?)?(?<![\d.])(\d{1,2})°\s*(\d{1,2}(?:[.,]\d+)?)['′]\s*(?:(\d{1,2}(?:[.,]\d+)?)(?:["″]|''))?(?:\s*([NS]))?\s*[,/]?\s*(?:\b([EW])\s?)?(?<![\d.])(\d{1,3})°\s*(\d{1,2}(?:[.,]\d+)?)['′]\s*(?:(\d{1,2}(?:[.,]\d+)?)(?:["″]|''))?(?:\s*([EW]))?/g,
+		parse: m => (m[1] || m[5]) && (m[6] || m[10])
+			? coordinateFromParts([m[2], m[3], m[4], m[1] || m[5]], [m[7], m[8], m[9], m[6] || m[10]])
+			: null
+	},
+	// Dash-separated degrees, minutes and seconds: 48-45-12N 002-07-05E
+	{
+		pattern: /\b(\d{1,2})-(\d{2})-(\d{2}(?:[.,]\d+)?)\s?([NS])\s*[,/]?\s*(\d{1,3})-(\d{2})-(\d{2}(?:[.,]\d+)?)\s?([EW])\b/g,
+		parse: m => coordinateFromParts([m[1], m[2], m[3], m[4]], [m[5], m[6], m[7], m[8]])
+	},
+	// Decimal degrees: 48.7533N 002.1181E, 48.7533°N 2.1181°E
+	{
+		pattern: /\b(\d{1,2}\.\d{2,})°?\s?([NS])\s*[,/]?\s*(\d{1,3}\.\d{2,})°?\s?([EW])\b/g,
+		parse: m => coordinateFromParts([m[1], null, null, m[2]], [m[3], null, null, m[4]])
+	},
+	// Decimal degrees, hemisphere first: N48.7533 E002.1181
+	{
+		pattern: /\b([NS])\s?(\d{1,2}\.\d{2,})°?\s*[,/]?\s*([EW])\s?(\d{1,3}\.\d{2,})°?/g,
+		parse: m => coordinateFromParts([m[2], null, null, m[1]], [m[4], null, null, m[3]])
+	}
+];
+
+// Find the coordinates of a text in all supported notations, in text order.
+// Each has its position (index, end), its text (original), lat/lon and
+// whether it uses the compact notation.
+function findCoordinates(text) {
+	const found = [];
+	for (const m of text.matchAll(compactCoordPattern)) {
+		const original = m[1]
+			? m[1] + m[2] + ' ' + m[3] + m[4]
+			: m[5] + m[6] + ' ' + m[7] + m[8];
+		const coords = parseDMSCoordinate(original);
+		if (coords) {
+			found.push({ index: m.index, end: m.index + m[0].length, original, lat: coords.lat, lon: coords.lon, compact: true });
+		}
+	}
+	for (const notation of coordinateNotations) {
+		for (const m of text.matchAll(notation.pattern)) {
+			const end = m.index + m[0].length;
+			if (found.some(f => m.index < f.end && f.index < end)) continue;
+			const coords = notation.parse(m);
+			if (coords) {
+				found.push({ index: m.index, end, original: m[0].replace(/\s+/g, ' ').trim(), lat: coords.lat, lon: coords.lon });
+			}
+		}
+	}
+	return found.sort((a, b) => a.index - b.index);
+}
+
+// Map offsets in NOTAM content to offsets in its cleaned up text
+// (cleanNotamContent), or -1 for the whitespace left out
+function cleanContentOffsetMapper(content) {
+	const lines = [];
+	let offset = 0;
+	let cleanOffset = 0;
+	content.split('\n').forEach(line => {
+		const trimmed = line.trim();
+		if (trimmed.length > 0) {
+			lines.push({ start: offset + line.indexOf(trimmed), length: trimmed.length, cleanStart: cleanOffset });
+			cleanOffset += trimmed.length + 1;
+		}
+		offset += line.length + 1;
+	});
+	return index => {
+		const line = lines.find(l => index >= l.start && index < l.start + l.length);
+		return line ? line.cleanStart + index - line.start : -1;
+	};
+}
+
 // Clean up NOTAM content - normalize whitespace while preserving structure
 function cleanNotamContent(content) {
 	return content
@@ -326,12 +1242,15 @@ const areaTranslations = [
 ];
 const areaKeywordsPattern = new RegExp('\\b(' + lateralLimitsTranslations.join('|') + '|' + areaTranslations.join('|') + '|WI\\s+COORD|FLW\\s+COORDS)\\b', 'i');
 const areaExclusionPattern = /\bRESTRICTED\s+IN\s+AREA\b/i;
+// Keywords triggering coordinate extraction highlighted in the NOTAM text,
+// along with area keywords: PSN, CENTRE, OBST and radius ("RADIUS 5NM")
+const sourceKeywordPattern = /\bPSN\b|\bCENTR(?:ED?|ER(?:ED)?)\b|\bOBST\b|(?:\b\d+(?:[.,]\d+)?\s*(?:NM|KM|M)\s+)?\bRADIUS\b(?:\s+(?:OF\s+)?\d+(?:[.,]\d+)?\s*(?:NM|KM|M)\b)?/gi;
 
 // Extract radius info from text surrounding a coordinate match in the E) section
 function extractRadiusFromText(eContent, matchStart, matchEnd) {
 	// Look after the coordinate: "RADIUS <num><unit>"
 	const afterText = eContent.substring(matchEnd, matchEnd + 50);
-	const afterMatch = afterText.match(/^\s+RADIUS\s+(\d+(?:[.,]\d+)?)\s*(NM|KM|M)\b/i);
+	const afterMatch = afterText.match(/^\s+(?:WITH\s+)?RADIUS\s+(?:OF\s+)?(\d+(?:[.,]\d+)?)\s*(NM|KM|M)\b/i);
 	if (afterMatch) {
 		return {
 			radius: parseFloat(afterMatch[1].replace(',', '.')),
@@ -351,8 +1270,8 @@ function extractRadiusFromText(eContent, matchStart, matchEnd) {
 		};
 	}
 
-	// "RADIUS <num><unit> [CENTRE/CENTRED/CENTER/CENTERED ON/AT]"
-	const beforeMatch2 = beforeText.match(/\bRADIUS\s+(\d+(?:[.,]\d+)?)\s*(NM|KM|M)\b/i);
+	// "RADIUS [OF] <num><unit> [CENTRE/CENTRED/CENTER/CENTERED ON/AT]"
+	const beforeMatch2 = beforeText.match(/\bRADIUS\s+(?:OF\s+)?(\d+(?:[.,]\d+)?)\s*(NM|KM|M)\b/i);
 	if (beforeMatch2) {
 		return {
 			radius: parseFloat(beforeMatch2[1].replace(',', '.')),
@@ -370,11 +1289,249 @@ function radiusToNM(radius, unit) {
 	return radius; // NM or default
 }
 
+const EARTH_RADIUS_NM = 3440.065;
+const ARC_STEP_DEGREES = 5; // Angle between interpolated points of arcs and circles
+
+// Arc and circle segments of area descriptions, matched against the text
+// between the previous coordinate and the centre coordinate
+const arcKeywordPattern = /\bARC(?:US)?\b/i;
+const circleKeywordPattern = /\b(?:CIRCLE|CERCLE)\b/i;
+const arcCentrePattern = /\b(?:CENTRED|CENTERED|CENTRE|CENTER)(?:\s+(?:ON|AT|OVER|SUR|POINT|PSN))*[\s:]*$/i;
+const anticlockwisePattern = /\b(?:ANTI|COUNTER)[\s-]?CLOCKWISE\b|\bANTI-?HORAIRE\b/i;
+const clockwisePattern = /\bCLOCKWISE\b|\bHORAIRE\b/i;
+
+// Great-circle distance between two points in NM
+function distanceNM(from, to) {
+	const rad = Math.PI / 180;
+	const dLat = (to.lat - from.lat) * rad;
+	const dLon = (to.lon - from.lon) * rad;
+	const a = Math.sin(dLat / 2) ** 2 + Math.cos(from.lat * rad) * Math.cos(to.lat * rad) * Math.sin(dLon / 2) ** 2;
+	return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial true bearing from one point to another in degrees
+function bearingDegrees(from, to) {
+	const rad = Math.PI / 180;
+	const dLon = (to.lon - from.lon) * rad;
+	const y = Math.sin(dLon) * Math.cos(to.lat * rad);
+	const x = Math.cos(from.lat * rad) * Math.sin(to.lat * rad) -
+		Math.sin(from.lat * rad) * Math.cos(to.lat * rad) * Math.cos(dLon);
+	return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+// Point at the given true bearing (degrees) and distance (NM) from a point
+function destinationPoint(from, bearing, distance) {
+	const rad = Math.PI / 180;
+	const angle = distance / EARTH_RADIUS_NM;
+	const lat1 = from.lat * rad;
+	const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing * rad));
+	const lon2 = from.lon * rad + Math.atan2(
+		Math.sin(bearing * rad) * Math.sin(angle) * Math.cos(lat1),
+		Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+	);
+	return { lat: lat2 / rad, lon: ((lon2 / rad + 540) % 360) - 180 };
+}
+
+// Interpolate the points of an arc around a centre between two vertices
+// (both excluded). Without a direction, the shorter way around is taken.
+// The radius is interpolated between both ends so that the arc joins them.
+function densifyArc(centre, from, to, clockwise) {
+	const startBearing = bearingDegrees(centre, from);
+	const startRadius = distanceNM(centre, from);
+	const endRadius = distanceNM(centre, to);
+	let sweep = (bearingDegrees(centre, to) - startBearing + 360) % 360;
+	if (clockwise === false || (clockwise == null && sweep > 180)) {
+		sweep -= 360;
+	}
+	const steps = Math.ceil(Math.abs(sweep) / ARC_STEP_DEGREES);
+	const points = [];
+	for (let i = 1; i < steps; i++) {
+		const t = i / steps;
+		points.push(destinationPoint(centre, startBearing + sweep * t, startRadius + (endRadius - startRadius) * t));
+	}
+	return points;
+}
+
+// Interpolate the points of a circle (radius in NM)
+function densifyCircle(centre, radius) {
+	const points = [];
+	for (let bearing = 0; bearing < 360; bearing += ARC_STEP_DEGREES) {
+		points.push(destinationPoint(centre, bearing, radius));
+	}
+	return points;
+}
+
+// Radial/distance from an aerodrome reference point, e.g. "RDL336/1.78NM ARP",
+// "RDL 274/1.64NM ARP LFPN" or "RDL 110/9.32NM LFFZ ARP"
+const radialPattern = /\bRDL\s*(\d{3})(?:\s*DEG)?\s*\/\s*(\d+(?:[.,]\d+)?)\s*NM\b\s*(?:FROM\s+)?(?:(?:ARP|AD)\s+(?:OF\s+)?([A-Z]{4})\b|([A-Z]{4})(?:\s+(?:ARP|AD))?\b|(ARP)\b)/gi;
+// Distance allowed between a radial/distance position and the PSN it
+// describes: published values are rounded to the degree and 0.1 NM
+const RADIAL_TOLERANCE_NM = 0.2;
+const RADIAL_TOLERANCE_RATIO = 0.02;
+
+// Look up an aerodrome by ICAO location indicator in the offline reference
+// point database
+function findReferencePoint(ident) {
+	const points = referencePoints.aerodromes;
+	return Object.prototype.hasOwnProperty.call(points, ident) ? points[ident] : null;
+}
+
+// Extract radial/distance positions from the E) section. A bare "ARP" refers
+// to the first aerodrome of the A) section. Radials are magnetic and converted
+// with the variation of the reference point; unknown references are ignored.
+function extractRadialPositions(eContent, icaoCodes) {
+	const positions = [];
+	for (const m of eContent.matchAll(radialPattern)) {
+		const ident = (m[3] || m[4] || (m[5] ? icaoCodes[0] : null) || '').toUpperCase();
+		const reference = ident ? findReferencePoint(ident) : null;
+		if (!reference) continue;
+		const distance = parseFloat(m[2].replace(',', '.'));
+		const point = destinationPoint(reference, parseInt(m[1], 10) + reference.variation, distance);
+		positions.push({
+			original: m[0].replace(/\s+/g, ' ').trim(),
+			index: m.index,
+			end: m.index + m[0].length,
+			reference: ident,
+			distance: distance,
+			lat: point.lat,
+			lon: point.lon
+		});
+	}
+	return positions;
+}
+
+// Cross-check radial/distance positions against the nearest PSN position.
+// The PSN is kept as the position; the result is shown next to it.
+function crossCheckRadialPositions(coordinateGroups, radialPositions) {
+	const psnCoords = coordinateGroups
+		.filter(g => g.length === 1 && g[0].type === 'psn')
+		.map(g => g[0]);
+	for (const position of radialPositions) {
+		let nearest = null;
+		let nearestDistance = Infinity;
+		for (const coord of psnCoords) {
+			const d = distanceNM(position, coord);
+			if (d < nearestDistance) {
+				nearest = coord;
+				nearestDistance = d;
+			}
+		}
+		if (nearest && (!nearest.crossCheck || nearestDistance < nearest.crossCheck.distance)) {
+			nearest.crossCheck = {
+				original: position.original,
+				distance: nearestDistance,
+				mismatch: nearestDistance > RADIAL_TOLERANCE_NM + position.distance * RADIAL_TOLERANCE_RATIO
+			};
+		}
+	}
+}
+
+// Obstacle types, checked in order (a "GRUE A TOUR" is a crane, not a tower)
+const obstacleTypePatterns = [
+	{ type: 'wind-turbine', pattern: /\b(?:EOLIENNES?|PARC\s+EOLIEN|AEROGENERATEURS?|WIND\s*(?:TURBINES?|FARMS?|PARKS?|MILLS?))\b/i },
+	{ type: 'crane', pattern: /\b(?:GRUES?|CRANES?)\b/i },
+	{ type: 'mast', pattern: /\b(?:MATS?|MASTS?|POLES?|POTEAUX?|ANTENNES?|ANTENNAS?|PYLONES?|PYLONS?|TOWERS?|CHEMINEES?|CHIMNEYS?)\b/i }
+];
+const obstacleTypeLabels = { crane: 'Crane', 'wind-turbine': 'Wind turbine', mast: 'Mast', other: 'Obstacle' };
+
+// Height above ground: "HAUTEUR : 108FT", "HGT AGL 114FT", "HIGHT ABOVE GND: 30.10M", "24M HGT"
+const obstacleHeightPattern = /\b(?:HAUTEUR|HAUT|HEIGHT|HIGHT|HGT)\b(?:\s+ABOVE\s+(?:GND|GROUND))?(?:\s*\(?AGL\)?)?\s*:?\s*(\d+(?:[.,]\d+)?)\s*(FT|M)\b/i;
+// or a value given above ground level: "24M HGT", "ELEV 1964FT/810FT AGL"
+const obstacleHeightAfterPattern = /\b(\d+(?:[.,]\d+)?)\s*(FT|M)[ \t]+(?:AGL[ \t]+)?(?:HGT|HEIGHT)\b|\b(\d+(?:[.,]\d+)?)\s*(FT|M)\s+AGL\b/i;
+// Elevation of the top: "ALTITUDE AU SOMMET : 622FT", "ALT ON TOP : 138FT", "ELEV MAX: 771FT",
+// "ELEVATION ON TOP 1472M AMSL"; the elevation at the base is not the top
+const obstacleElevationPattern = /\b(?:ALTITUDE|ALT|ELEVATION|ELEV)\b(?!\s+AT\s+(?:THE\s+)?BASE)(?:\s+(?:AU\s+SOM+ET|ON\s+TOP|AT\s+TOP|MAX|AMSL))*\s*:?\s*(\d+(?:[.,]\d+)?)\s*(FT|M)\b/i;
+// Lighting: "BALISAGE : JOUR ET NUIT", "LIGHTING : DAY", "LGT : DAY AND NGT", "LIGHTED AT NIGHT"
+const obstacleLightingPattern = /\b(BALISAGE|LIGHTING|LGT|LIGHTED|LIT)\b\s*:?\s*(?:AT\s+)?(JOUR\s+ET\s+NUIT|DAY\s+(?:AND|&)\s+(?:NIGHT|NGT)|JOUR|DAY|NUIT|NIGHT|NGT|NIL|NON|NONE|NO|U\/S|HORS\s+SERVICE)?/gi;
+// Day and night marking: "DAY AND NIGHT MARKED", "NGT SGL PROVIDED", "NGT SGL NOT PROVIDED"
+const obstacleMarkingPattern = /\b(DAY\s+AND\s+(?:NIGHT|NGT)|NIGHT|NGT|DAY)\s+MARKED\b|\bNGT\s+SGL\s+(NOT\s+)?PROVIDED\b/i;
+const obstacleUnlitPattern = /\b(?:NOT\s+LIGHTED|UNLIGHTED|UNLIT|NON\s+BALISEE?)\b/i;
+const obstacleLightingLabels = {
+	'day-night': 'day and night',
+	day: 'day',
+	night: 'night',
+	lit: 'lit',
+	none: 'none',
+	unserviceable: 'unserviceable'
+};
+
+// Normalize a lighting value ("JOUR ET NUIT", "DAY", "NIL", etc.)
+function obstacleLightingValue(value) {
+	const v = value.toUpperCase().replace(/\s+/g, ' ');
+	if (/^(?:JOUR ET NUIT|DAY (?:AND|&) N)/.test(v)) return 'day-night';
+	if (v === 'JOUR' || v === 'DAY') return 'day';
+	if (v === 'NUIT' || v === 'NIGHT' || v === 'NGT') return 'night';
+	if (v === 'U/S' || v === 'HORS SERVICE') return 'unserviceable';
+	return 'none';
+}
+
+// Parse a height or elevation match into { value, unit }
+function obstacleMeasure(value, unit) {
+	return { value: parseFloat(value.replace(',', '.')), unit: unit.toUpperCase() };
+}
+
+// Extract obstacle data from E) section text: type, height above ground,
+// elevation of the top and lighting. Fields missing from the text are taken
+// from the fallback (e.g. the whole E) section for one of several obstacles).
+function parseObstacle(text, fallback = null) {
+	const typeEntry = obstacleTypePatterns.find(t => t.pattern.test(text));
+	const heightMatch = text.match(obstacleHeightPattern) || text.match(obstacleHeightAfterPattern);
+	const markingMatch = text.match(obstacleMarkingPattern);
+	const elevationMatch = text.match(obstacleElevationPattern);
+
+	let lighting = null;
+	if (obstacleUnlitPattern.test(text)) {
+		lighting = 'none';
+	} else {
+		for (const m of text.matchAll(obstacleLightingPattern)) {
+			if (m[2]) {
+				lighting = obstacleLightingValue(m[2]);
+				break;
+			}
+			if (/^(?:LIGHTED|LIT)$/i.test(m[1])) {
+				lighting = 'lit';
+				break;
+			}
+		}
+	}
+	if (!lighting && markingMatch) {
+		if (markingMatch[1]) {
+			lighting = obstacleLightingValue(markingMatch[1]);
+		} else {
+			lighting = markingMatch[2] ? 'none' : 'night';
+		}
+	}
+
+	const obstacle = {
+		type: typeEntry ? typeEntry.type : null,
+		height: heightMatch
+			? obstacleMeasure(heightMatch[1] || heightMatch[3], heightMatch[2] || heightMatch[4])
+			: null,
+		elevation: elevationMatch ? obstacleMeasure(elevationMatch[1], elevationMatch[2]) : null,
+		lighting: lighting
+	};
+	if (fallback) {
+		for (const key of Object.keys(obstacle)) {
+			if (obstacle[key] === null) obstacle[key] = fallback[key];
+		}
+	}
+	if (!obstacle.type) obstacle.type = 'other';
+	return obstacle;
+}
+
+// Height above ground of an obstacle in feet, or null when unknown
+function obstacleHeightFeet(obstacle) {
+	if (!obstacle || !obstacle.height) return null;
+	const { value, unit } = obstacle.height;
+	return Math.round(unit === 'M' ? value * METERS_TO_FEET : value);
+}
+
 // Display unit with correct casing (SI: m, km; aviation: NM)
 const radiusUnitDisplay = { NM: 'NM', KM: 'km', M: 'm' };
 
-// Parse NOTAM content into ICAO sections (Q, A, B, C, D, E, F, G)
-function parseSections(content) {
+// Parse NOTAM content into ICAO sections (Q, A, B, C, D, E, F, G). The
+// offset of each section text in the content is stored in offsets if given.
+function parseSections(content, offsets = null) {
 	const sections = {};
 	// Match ICAO NOTAM section markers preceded by start-of-string or whitespace
 	// to avoid false matches on text like "2A)" or "(E)"
@@ -392,29 +1549,174 @@ function parseSections(content) {
 	for (let i = 0; i < markers.length; i++) {
 		const start = markers[i].contentStart;
 		const end = i + 1 < markers.length ? markers[i + 1].matchStart : content.length;
-		sections[markers[i].letter] = content.substring(start, end).trim();
+		const text = content.substring(start, end);
+		sections[markers[i].letter] = text.trim();
+		if (offsets) {
+			offsets[markers[i].letter] = start + text.length - text.trimStart().length;
+		}
 	}
 	return sections;
 }
 
+// Normalize a NOTAM action suffix: a bare "NOTAM" (or none at all) is a new NOTAM
+function parseNotamAction(suffix) {
+	const m = suffix ? suffix.toUpperCase().match(/^NOTAM([RC])$/) : null;
+	return m ? 'NOTAM' + m[1] : 'NOTAMN';
+}
+
+// Split a NOTAM ID into its optional location prefix and its series number
+// Example: "LFFA-A1234/25" -> { prefix: "LFFA", number: "A1234/25" }
+function splitNotamId(id) {
+	const m = id.toUpperCase().match(/^(?:([A-Z]{4})[\s-]+)?([A-Z]\d+\/\d+)$/);
+	if (!m) return { prefix: null, number: id.toUpperCase() };
+	return { prefix: m[1] || null, number: m[2] };
+}
+
+// Link NOTAMR/NOTAMC entries to the NOTAMs they replace or cancel.
+// A reference without location prefix (e.g. "NOTAMR A1200/25") is resolved
+// within the prefix of the replacing NOTAM. The NOTAMs are indexed by series
+// number first, so that each reference only looks at its candidates.
+function resolveNotamReplacements(notams) {
+	const ids = notams.map(notam => splitNotamId(notam.id));
+	const byNumber = new Map();
+	notams.forEach((notam, i) => {
+		if (!byNumber.has(ids[i].number)) byNumber.set(ids[i].number, []);
+		byNumber.get(ids[i].number).push({ target: notam, prefix: ids[i].prefix });
+	});
+	notams.forEach((notam, i) => {
+		if (!notam.replacesId) return;
+		const ref = splitNotamId(notam.replacesId);
+		const prefix = ref.prefix || ids[i].prefix;
+		for (const { target, prefix: targetPrefix } of byNumber.get(ref.number) || []) {
+			if (target.id === notam.id) continue;
+			if (prefix && targetPrefix && targetPrefix !== prefix) continue;
+			if (notam.action === 'NOTAMC') {
+				target.cancelledBy = notam.id;
+			} else {
+				target.replacedBy = notam.id;
+			}
+		}
+	});
+}
+
+// Check if a NOTAM has been replaced or cancelled by another NOTAM of the briefing
+function isObsoleteNotam(notam) {
+	return Boolean(notam.replacedBy || notam.cancelledBy);
+}
+
+// Get the validity state of a NOTAM at the given instant from its B) and C) dates
+function notamValidityState(notam, at) {
+	if (notam.startDate && at < notam.startDate) return 'upcoming';
+	if (notam.endDate && at > notam.endDate) return 'expired';
+	return 'active';
+}
+
+// Get the validity state of a group of NOTAMs: active if any is active,
+// otherwise upcoming if any is upcoming
+function groupValidityState(notams, at) {
+	const states = notams.map(n => notamValidityState(n, at));
+	if (states.includes('active')) return 'active';
+	return states.includes('upcoming') ? 'upcoming' : 'expired';
+}
+
+// Start of a raw ICAO NOTAM message in brackets, e.g. "(A1234/25 NOTAMN"
+const icaoBracketStartPattern = /^[ \t]*\(\s*(?:[A-Z]{4}[\s-])?[A-Z]\d+\/\d+\s+NOTAM[NRC]\b/gim;
+
+// Index of the bracket closing a raw ICAO message: the last ")" that is not
+// a section marker such as "G)", or -1
+function closingBracketIndex(message) {
+	for (let i = message.lastIndexOf(')'); i >= 0; i = message.lastIndexOf(')', i - 1)) {
+		if (!/(?:^|\s)[QABCDEFG]$/.test(message.substring(0, i))) return i;
+	}
+	return -1;
+}
+
+// Input adapter for raw ICAO (AFTN) messages in brackets:
+// "(A1234/25 NOTAMN Q) ... A) ... E) ...)". Each message becomes a NOTAM
+// paragraph without its brackets, the AFTN header and ending lines around
+// them being left out of the NOTAM by the empty lines.
+function normalizeIcaoBracketedNotams(text) {
+	const starts = [...text.matchAll(icaoBracketStartPattern)];
+	if (starts.length === 0) return text;
+	let result = text.substring(0, starts[0].index);
+	starts.forEach((start, i) => {
+		const end = i + 1 < starts.length ? starts[i + 1].index : text.length;
+		const message = text.substring(text.indexOf('(', start.index) + 1, end);
+		const close = closingBracketIndex(message);
+		result += close >= 0
+			? `\n\n${message.substring(0, close).trim()}\n\n${message.substring(close + 1)}`
+			: `\n\n${message.trim()}\n\n`;
+	});
+	return result;
+}
+
+// FAA domestic NOTAM: accountability, number, location, then the text up to
+// the next NOTAM or an empty line
+const faaDomesticPattern = /^[ \t]*!([A-Z0-9]{3,4})[ \t]+(\d{1,2}\/\d{3,5})[ \t]+([A-Z0-9]{3,5})[ \t]+([\s\S]*?)(?=\n[ \t]*!|\n\s*\n|(?![\s\S]))/gm;
+
+// ICAO location of a three-letter FAA location identifier in the contiguous
+// US: "JFK" -> "KJFK", "ZNY" -> "KZNY" (ARTCC). Other identifiers (e.g.
+// "1N7") are kept.
+function faaLocationToIcao(location) {
+	return /^[A-Z]{3}$/.test(location) ? `K${location}` : location;
+}
+
+// Input adapter for FAA domestic NOTAMs:
+// "!JFK 02/123 JFK RWY 04L/22R CLSD 2602091200-2602102359". Each NOTAM is
+// rewritten with A), B), C) and E) sections, under the ID "JFK 02/123".
+function normalizeFaaDomesticNotams(text) {
+	return text.replace(faaDomesticPattern, (match, account, number, location, body) => {
+		const lines = [`!${account} ${number}`, `A) ${faaLocationToIcao(location)}`];
+		let eText = body;
+		const validity = body.match(/\s(\d{10})-(\d{10}|PERM)(EST)?\b/);
+		if (validity) {
+			eText = body.substring(0, validity.index);
+			lines.push(`B) ${validity[1]}`);
+			lines.push(`C) ${validity[2]}${validity[3] ? ' EST' : ''}`);
+		}
+		lines.push(`E) ${eText.trim()}`);
+		return `\n${lines.join('\n')}\n`;
+	});
+}
+
+// Normalize NOTAM input pasted from other providers into the layout split by
+// parseNotams
+function normalizeNotamInput(text) {
+	return normalizeFaaDomesticNotams(normalizeIcaoBracketedNotams(text.replace(/\r\n?/g, '\n')));
+}
+
 // Parse NOTAMs and extract those with coordinates
 function parseNotams(text) {
 	const notams = [];
 	const seenIds = new Set();
 
-	// Split into individual NOTAMs using the NOTAM ID pattern
-	// Support SOFIA-Briefing format (LFFF-A1234/25) and autorouter formats (LFFF A1234/25 and A1234/25)
-	// Action suffixes (NOTAM, NOTAMN, NOTAMR, NOTAMC) are captured but will be stripped
-	const notamPattern = /(?:^|\n)\s*((?:[A-Z]{4}[\s-])?[A-Z]\d+\/\d+)\s*(?:NOTAM[NRC]?)?/gi;
-	const parts = text.split(notamPattern);
-
-	// Process pairs: [before, id1, content1, id2, content2, ...]
-	for (let i = 1; i < parts.length; i += 2) {
-		// Strip any trailing action suffix from the ID
-		const notamId = parts[i].replace(/\s*NOTAM[NRC]?\s*$/i, '').trim();
-		if (seenIds.has(notamId)) continue;
+	splitNotamText(normalizeNotamInput(text)).forEach(({ notamId, action, replacesId, content }) => {
+		if (seenIds.has(notamId)) return;
 		seenIds.add(notamId);
-		let content = parts[i + 1] || '';
+		notams.push(...parseNotamContent(notamId, action, replacesId, content));
+	});
+
+	resolveNotamReplacements(notams);
+	return notams;
+}
+
+// Split into individual NOTAMs using the NOTAM ID pattern
+// Support SOFIA-Briefing format (LFFF-A1234/25), autorouter formats (LFFF A1234/25 and A1234/25)
+// and normalized FAA domestic IDs (!JFK 02/123)
+// Action suffixes (NOTAM, NOTAMN, NOTAMR, NOTAMC) are captured along with
+// the ID of the NOTAM being replaced or cancelled (e.g. "NOTAMR A1200/25")
+const notamIdPattern = /(?:^|\n)\s*((?:[A-Z]{4}[\s-])?[A-Z]\d+\/\d+|![A-Z0-9]{3,4} \d{1,2}\/\d{3,5})\s*(?:(NOTAM[NRC]?)(?:[ \t]+((?:[A-Z]{4}[ \t-])?[A-Z]\d+\/\d+))?)?/gi;
+
+// Split normalized NOTAM text into { notamId, action, replacesId, content }
+// entries, the content following the ID up to the first empty line
+function splitNotamText(text) {
+	const entries = [];
+	const parts = text.split(notamIdPattern);
+
+	// Process tuples: [before, id1, action1, ref1, content1, id2, ...]
+	for (let i = 1; i < parts.length; i += 4) {
+		const action = parseNotamAction(parts[i + 1]);
+		let content = parts[i + 3] || '';
 
 		// NOTAM content ends at an empty line
 		const emptyLineMatch = content.match(/\n\s*\n/);
@@ -422,226 +1724,798 @@ function parseNotams(text) {
 			content = content.substring(0, emptyLineMatch.index);
 		}
 
-		// Parse NOTAM sections
-		const sections = parseSections(content);
+		entries.push({
+			notamId: parts[i].trim().replace(/^!/, ''),
+			action,
+			replacesId: action !== 'NOTAMN' && parts[i + 2] ? parts[i + 2].trim() : null,
+			content
+		});
+	}
+	return entries;
+}
 
-		// Find coordinates
-		const coordinates = [];
-		const seenPositions = new Set(); // Track positions to deduplicate
+// Parse the content of a NOTAM following its ID into one entry per position
+// or area. Coordinate groups supplied along with the NOTAM (e.g. the geometry
+// of an FAA NOTAM API response) replace those found in the text.
+function parseNotamContent(notamId, action, replacesId, content, suppliedGroups = null) {
+	const notams = [];
 
-		const dates = parseNotamDates(sections, content);
-		const eContent = sections.E || null;
+	// Parse NOTAM sections
+	const sectionOffsets = {};
+	const sections = parseSections(content, sectionOffsets);
+
+	// Find coordinates
+	const coordinates = [];
+	const seenPositions = new Set(); // Track positions to deduplicate
+
+	const dates = parseNotamDates(sections, content);
+	const qualifier = sections.Q ? parseQualifierLine(sections.Q) : null;
+	const schedule = sections.D ? { text: sections.D, start: dates.start, end: dates.end, position: qualifier } : null;
+	const verticalLimits = parseVerticalLimits(sections, qualifier);
+	const eContent = sections.E || null;
+	const foundCoordinates = eContent ? findCoordinates(eContent) : [];
+	// Obstacle data of obstacle NOTAMs (QOB Q-codes)
+	const obstacle = eContent && sections.Q && /\/\s*QOB/.test(sections.Q) ? parseObstacle(eContent) : null;
+	// Obstacle data following a coordinate, up to the next one
+	const obstacleAt = (found) => {
+		const next = foundCoordinates.find(c => c.index >= found.end);
+		return parseObstacle(eContent.substring(found.index, next ? next.index : eContent.length), obstacle);
+	};
+
+	const coordinateGroups = suppliedGroups ? [...suppliedGroups] : [];
+
+	// Parse diagnostics: keywords found, coordinates matched or ignored and
+	// the position decisions, shown in the list to explain the result
+	const diagnostics = [];
+	const diagnose = (type, message) => diagnostics.push({ type, message });
+
+	// Source text of the positions and of the extraction keywords, as offsets
+	// in fullContent, highlighted in the NOTAM text
+	const sourceSpans = [];
+	const toCleanOffset = cleanContentOffsetMapper(content);
+	const addSourceSpan = (section, index, end, position = null) => {
+		const start = toCleanOffset(sectionOffsets[section] + index);
+		const last = toCleanOffset(sectionOffsets[section] + end - 1);
+		if (start < 0 || last < start) return;
+		sourceSpans.push(position
+			? { start, end: last + 1, kind: 'coordinate', lat: position.lat, lon: position.lon }
+			: { start, end: last + 1, kind: 'keyword' });
+	};
+	if (suppliedGroups) {
+		diagnose('match', `Geometry supplied with the NOTAM (${suppliedGroups.length} group(s)), E) text not searched`);
+	} else if (!eContent) {
+		diagnose('keyword', 'No E) section');
+	}
 
-		const coordinateGroups = [];
+	if (eContent && !suppliedGroups) {
+		// Check for position or area keywords
+		const hasPsnKeyword = /\bPSN\b/i.test(eContent);
+		const hasCentreKeyword = /\bCENTR(?:ED?|ER(?:ED)?)\b/i.test(eContent);
+		const hasObstKeyword = /\bOBST\b/i.test(eContent);
+		const hasObstQCode = sections.Q && /\/\s*QOB/.test(sections.Q);
+		const areaKeyword = eContent.match(areaKeywordsPattern);
+		const areaExclusion = eContent.match(areaExclusionPattern);
+		const hasAreaKeywords = Boolean(areaKeyword) && !areaExclusion;
+
+		const keywords = [hasPsnKeyword && 'PSN', hasCentreKeyword && 'CENTRE', hasObstKeyword && 'OBST',
+			hasObstQCode && 'obstacle Q-code', hasAreaKeywords && `area (${areaKeyword[0]})`].filter(Boolean);
+		if (keywords.length > 0) {
+			diagnose('keyword', `Keywords: ${keywords.join(', ')}`);
+		}
+		if (areaKeyword && areaExclusion) {
+			diagnose('ignored', `Area keyword "${areaKeyword[0]}" ignored: "${areaExclusion[0]}" found`);
+		}
 
-		if (eContent) {
-			// Check for position or area keywords
-			const hasPsnKeyword = /\bPSN\b/i.test(eContent);
-			const hasCentreKeyword = /\bCENTR(?:ED?|ER(?:ED)?)\b/i.test(eContent);
-			const hasObstKeyword = /\bOBST\b/i.test(eContent);
-			const hasObstQCode = sections.Q && /\/\s*QOB/.test(sections.Q);
-			const hasAreaKeywords = areaKeywordsPattern.test(eContent) && !areaExclusionPattern.test(eContent);
+		// Only extract coordinates if PSN, CENTRE/CENTER, OBST, obstruction Q-code, or area keywords are present
+		if (hasPsnKeyword || hasCentreKeyword || hasObstKeyword || hasObstQCode || hasAreaKeywords) {
+			const keywordPatterns = hasAreaKeywords
+				? [sourceKeywordPattern, new RegExp(areaKeywordsPattern.source, 'gi')] : [sourceKeywordPattern];
+			keywordPatterns.forEach(pattern => {
+				for (const m of eContent.matchAll(pattern)) {
+					addSourceSpan('E', m.index, m.index + m[0].length);
+				}
+			});
 
-			// Only extract coordinates if PSN, CENTRE/CENTER, OBST, obstruction Q-code, or area keywords are present
-			if (hasPsnKeyword || hasCentreKeyword || hasObstKeyword || hasObstQCode || hasAreaKeywords) {
-				// When area keywords are present, find the first keyword
-				// directly followed by coordinates; non-PSN coordinates
-				// before it are skipped
-				let extractionStartIndex = 0;
-				if (hasAreaKeywords) {
-					const areaSearchPattern = new RegExp(areaKeywordsPattern.source, 'gi');
-					let areaMatch;
-					while ((areaMatch = areaSearchPattern.exec(eContent)) !== null) {
-						const after = eContent.substring(areaMatch.index + areaMatch[0].length);
-						if (/^.{0,40}?(?:\d{4,7}(?:\.\d+)?[NS]\s+\d{5,8}(?:\.\d+)?[EW]|\d{6}[NS]\d{7}[EW])/is.test(after)) {
-							extractionStartIndex = areaMatch.index;
-							break;
-						}
+			// When area keywords are present, find the first keyword
+			// directly followed by coordinates; non-PSN coordinates
+			// before it are skipped
+			let extractionStartIndex = 0;
+			if (hasAreaKeywords) {
+				const areaSearchPattern = new RegExp(areaKeywordsPattern.source, 'gi');
+				let areaMatch;
+				while ((areaMatch = areaSearchPattern.exec(eContent)) !== null) {
+					const keywordEnd = areaMatch.index + areaMatch[0].length;
+					if (foundCoordinates.some(c => c.index >= keywordEnd && c.index - keywordEnd <= 40)) {
+						extractionStartIndex = areaMatch.index;
+						diagnose('keyword', `Area description starts at "${areaMatch[0]}"`);
+						break;
 					}
 				}
+			}
 
-				// Find all coordinate-like patterns in the E) section
-				// Matches patterns like: 422726N 0064355W, 4227N 00643W or 455554.997N 0060439.322E
-				const coordPattern = /(\d{4,7}(?:\.\d+)?)([NS])\s+(\d{5,8}(?:\.\d+)?)([EW])|(\d{6})([NS])(\d{7})([EW])/gi;
-				let match;
-				let groupClosed = false;
-				// Coarse positions (~111m) from closed groups, used to skip
-				// approximate duplicates (e.g. high-precision vs standard coords)
-				const closedGroupPositions = new Set();
-
-				while ((match = coordPattern.exec(eContent)) !== null) {
-					const coordStr = match[1]
-						? match[1] + match[2] + ' ' + match[3] + match[4]
-						: match[5] + match[6] + ' ' + match[7] + match[8];
-					const coords = parseDMSCoordinate(coordStr);
-					if (!coords) continue;
-
-					// A standalone PSN has the keyword on the same line but is not
-					// dash-connected to the next coordinate (polygon series)
-					const before = eContent.substring(Math.max(0, match.index - 30), match.index);
-					const sameLine = before.includes('\n') ? before.substring(before.lastIndexOf('\n') + 1) : before;
-					const after = eContent.substring(match.index + match[0].length);
-					const isStandalonePsn = /\bPSN\b/i.test(sameLine) &&
-						!/^\s*-\s*\d{4,7}/i.test(after);
-
-					if (isStandalonePsn) {
-						const radiusInfo = extractRadiusFromText(eContent, match.index, match.index + match[0].length);
-						const coord = {
+			let groupClosed = false;
+			let lastMatchEnd = 0;
+			// Centre and direction of an arc running from the last vertex to the next one
+			let pendingArc = null;
+			// Add the points of the pending arc ending at the given vertex
+			const addPendingArc = (to) => {
+				if (pendingArc && coordinates.length > 0) {
+					const arcPoints = densifyArc(pendingArc.centre, coordinates[coordinates.length - 1], to, pendingArc.clockwise);
+					arcPoints.forEach(p => coordinates.push({ original: pendingArc.centre.original, lat: p.lat, lon: p.lon, type: 'arc' }));
+				}
+				pendingArc = null;
+			};
+			// Coarse positions (~111m) from closed groups, used to skip
+			// approximate duplicates (e.g. high-precision vs standard coords)
+			const closedGroupPositions = new Set();
+
+			for (const coords of foundCoordinates) {
+				const coordStr = coords.original;
+				const gapText = eContent.substring(Math.max(lastMatchEnd, coords.index - 100), coords.index);
+				lastMatchEnd = coords.end;
+
+				// Circle boundary ("CIRCLE RADIUS 5NM CENTRED ON ..."): its own
+				// area. Obstacle groups within a circle keep their position.
+				if (!hasObstQCode && circleKeywordPattern.test(gapText) && !arcKeywordPattern.test(gapText)) {
+					const radiusInfo = extractRadiusFromText(eContent, coords.index, lastMatchEnd);
+					if (radiusInfo) {
+						const radius = radiusToNM(radiusInfo.radius, radiusInfo.radiusUnit);
+						diagnose('match', `${coordStr.trim()}: circle centre, radius ${radiusInfo.radius} ${radiusInfo.radiusUnit}`);
+						addSourceSpan('E', coords.index, coords.end, coords);
+						coordinateGroups.push(densifyCircle(coords, radius).map(p => ({
 							original: coordStr.trim(),
-							lat: coords.lat,
-							lon: coords.lon,
-							type: 'psn'
-						};
-						if (radiusInfo) {
-							coord.radius = radiusInfo.radius;
-							coord.radiusUnit = radiusInfo.radiusUnit;
-						}
-						coordinateGroups.push([coord]);
+							lat: p.lat,
+							lon: p.lon,
+							type: 'arc'
+						})));
 						continue;
 					}
+				}
 
-					// Skip non-PSN coordinates before area extraction zone
-					if (match.index < extractionStartIndex) {
-						continue;
+				// Arc centre ("CLOCKWISE ARC RADIUS 10NM CENTRED ON ..."): not a
+				// vertex, the arc is drawn when the next vertex is found
+				if (arcKeywordPattern.test(gapText) && arcCentrePattern.test(gapText)) {
+					let clockwise = null;
+					if (anticlockwisePattern.test(gapText)) {
+						clockwise = false;
+					} else if (clockwisePattern.test(gapText)) {
+						clockwise = true;
 					}
+					pendingArc = { centre: { original: coordStr.trim(), lat: coords.lat, lon: coords.lon }, clockwise };
+					const direction = clockwise == null ? 'shorter way' : clockwise ? 'clockwise' : 'anticlockwise';
+					diagnose('match', `${coordStr.trim()}: arc centre (${direction})`);
+					addSourceSpan('E', coords.index, coords.end, coords);
+					continue;
+				}
 
-					// Create position key for deduplication (rounded to ~1m precision)
-					const posKey = `${coords.lat.toFixed(6)}_${coords.lon.toFixed(6)}`;
-					const coarsePosKey = `${coords.lat.toFixed(3)}_${coords.lon.toFixed(3)}`;
-
-					// Skip coordinates that approximately match a closed group
-					if (closedGroupPositions.has(coarsePosKey)) {
-						continue;
+				// A standalone PSN has the keyword on the same line but is not
+				// dash-connected to the next coordinate (polygon series)
+				const before = eContent.substring(Math.max(0, coords.index - 30), coords.index);
+				const sameLine = before.includes('\n') ? before.substring(before.lastIndexOf('\n') + 1) : before;
+				const after = eContent.substring(coords.end);
+				const isStandalonePsn = /\bPSN\b/i.test(sameLine) &&
+					!/^\s*-\s*(?:\d{4,7}|\d{1,2}[-°.]\d|[NS]\s?\d)/.test(after);
+
+				if (isStandalonePsn) {
+					const radiusInfo = extractRadiusFromText(eContent, coords.index, coords.end);
+					const coord = {
+						original: coordStr.trim(),
+						lat: coords.lat,
+						lon: coords.lon,
+						type: 'psn'
+					};
+					if (radiusInfo) {
+						coord.radius = radiusInfo.radius;
+						coord.radiusUnit = radiusInfo.radiusUnit;
 					}
-
-					if (seenPositions.has(posKey)) {
-						// Duplicate coordinate signals polygon closure
-						if (!groupClosed && coordinates.length > 0) {
-							coordinateGroups.push([...coordinates]);
-							for (const coord of coordinates) {
-								closedGroupPositions.add(`${coord.lat.toFixed(3)}_${coord.lon.toFixed(3)}`);
-							}
-							coordinates.length = 0;
-							seenPositions.clear();
-							groupClosed = true;
-						}
-					} else {
-						groupClosed = false;
-						seenPositions.add(posKey);
-						const radiusInfo = extractRadiusFromText(eContent, match.index, match.index + match[0].length);
-						const coord = {
-							original: coordStr.trim(),
-							lat: coords.lat,
-							lon: coords.lon,
-							type: 'psn'
-						};
-						if (radiusInfo) {
-							coord.radius = radiusInfo.radius;
-							coord.radiusUnit = radiusInfo.radiusUnit;
-						}
-						coordinates.push(coord);
+					if (obstacle) {
+						coord.obstacle = obstacleAt(coords);
 					}
+					diagnose('match', `${coordStr.trim()}: standalone PSN${radiusInfo ? `, radius ${radiusInfo.radius} ${radiusInfo.radiusUnit}` : ''}`);
+					addSourceSpan('E', coords.index, coords.end, coords);
+					coordinateGroups.push([coord]);
+					continue;
 				}
-			}
-		}
 
-		// Collect remaining coordinates as the last group.
-		// When every coordinate carries a radius (circle centres),
-		// emit each one as its own group so they become individual
-		// position markers instead of a single polygon.
-		if (coordinates.length > 0) {
-			if (coordinates.length >= 2 && coordinates.every(c => c.radius != null)) {
-				for (const c of coordinates) {
-					coordinateGroups.push([c]);
+				// Skip non-PSN coordinates before area extraction zone
+				if (coords.index < extractionStartIndex) {
+					diagnose('ignored', `${coordStr.trim()}: before the area description`);
+					continue;
 				}
-			} else {
-				coordinateGroups.push(coordinates);
+
+				// Create position key for deduplication (rounded to ~1m precision)
+				const posKey = `${coords.lat.toFixed(6)}_${coords.lon.toFixed(6)}`;
+				const coarsePosKey = `${coords.lat.toFixed(3)}_${coords.lon.toFixed(3)}`;
+
+				// Skip coordinates that approximately match a closed group
+				if (closedGroupPositions.has(coarsePosKey)) {
+					diagnose('ignored', `${coordStr.trim()}: near duplicate of a closed group`);
+					continue;
+				}
+
+				if (seenPositions.has(posKey)) {
+					// Arc start repeated after its centre ("BTN <start> - <end>")
+					const last = coordinates[coordinates.length - 1];
+					if (pendingArc && last && `${last.lat.toFixed(6)}_${last.lon.toFixed(6)}` === posKey) {
+						diagnose('ignored', `${coordStr.trim()}: arc start repeated after its centre`);
+						continue;
+					}
+					// Duplicate coordinate signals polygon closure
+					if (!groupClosed && coordinates.length > 0) {
+						diagnose('match', `${coordStr.trim()}: repeated vertex, group of ${coordinates.length} closed`);
+						addSourceSpan('E', coords.index, coords.end, coords);
+						addPendingArc(coordinates[0]);
+						coordinateGroups.push([...coordinates]);
+						for (const coord of coordinates) {
+							closedGroupPositions.add(`${coord.lat.toFixed(3)}_${coord.lon.toFixed(3)}`);
+						}
+						coordinates.length = 0;
+						seenPositions.clear();
+						groupClosed = true;
+					} else {
+						diagnose('ignored', `${coordStr.trim()}: duplicate`);
+					}
+				} else {
+					groupClosed = false;
+					addPendingArc(coords);
+					seenPositions.add(posKey);
+					const radiusInfo = extractRadiusFromText(eContent, coords.index, coords.end);
+					const coord = {
+						original: coordStr.trim(),
+						lat: coords.lat,
+						lon: coords.lon,
+						type: 'psn'
+					};
+					if (radiusInfo) {
+						coord.radius = radiusInfo.radius;
+						coord.radiusUnit = radiusInfo.radiusUnit;
+					}
+					if (obstacle) {
+						coord.obstacle = obstacleAt(coords);
+					}
+					diagnose('match', `${coordStr.trim()}: vertex or position${radiusInfo ? `, radius ${radiusInfo.radius} ${radiusInfo.radiusUnit}` : ''}`);
+					addSourceSpan('E', coords.index, coords.end, coords);
+					coordinates.push(coord);
+				}
+			}
+
+			// An arc left open returns to the first vertex ("TILL POINT OF ORIGIN")
+			if (coordinates.length >= 2) {
+				addPendingArc(coordinates[0]);
 			}
+		} else {
+			diagnose('keyword', 'No PSN, CENTRE, OBST or area keyword: coordinates not extracted');
+			foundCoordinates.forEach(c => diagnose('ignored', `${c.original.trim()}: no extraction keyword`));
 		}
+	}
 
-		// Find qualifier line coordinates only if no PSN coordinates found
-		if (coordinateGroups.length === 0 && sections.Q) {
-			const qualifier = parseQualifierLine(sections.Q);
-			if (qualifier) {
-				coordinateGroups.push([{
-					original: sections.Q.split(/\s*\/\s*/).pop(),
-					lat: qualifier.lat,
-					lon: qualifier.lon,
-					radius: qualifier.radius,
-					type: 'qualifierLine'
-				}]);
+	// Collect remaining coordinates as the last group.
+	// When every coordinate carries a radius (circle centres),
+	// emit each one as its own group so they become individual
+	// position markers instead of a single polygon.
+	if (coordinates.length > 0) {
+		if (coordinates.length >= 2 && coordinates.every(c => c.radius != null)) {
+			diagnose('match', `${coordinates.length} coordinates with a radius: separate positions`);
+			for (const c of coordinates) {
+				coordinateGroups.push([c]);
 			}
+		} else {
+			coordinateGroups.push(coordinates);
 		}
+	}
+
+	// Extract ICAO codes from A) section
+	let icaoCodes = [];
+	if (sections.A) {
+		const icaoMatch = sections.A.match(/([A-Z]{4}(?:\s+[A-Z]{4})*)/i);
+		icaoCodes = icaoMatch ? icaoMatch[1].split(/\s+/) : [];
+	}
 
-		// Extract ICAO codes from A) section
-		let icaoCodes = [];
-		if (sections.A) {
-			const icaoMatch = sections.A.match(/([A-Z]{4}(?:\s+[A-Z]{4})*)/i);
-			icaoCodes = icaoMatch ? icaoMatch[1].split(/\s+/) : [];
+	// Radial/distance positions: used as derived positions when no
+	// coordinate was found, cross-checked against the PSN otherwise
+	const radialPositions = eContent ? extractRadialPositions(eContent, icaoCodes) : [];
+	if (coordinateGroups.length === 0) {
+		const seenRadials = new Set();
+		for (const position of radialPositions) {
+			const posKey = `${position.lat.toFixed(6)}_${position.lon.toFixed(6)}`;
+			if (seenRadials.has(posKey)) continue;
+			seenRadials.add(posKey);
+			diagnose('fallback', `No coordinate in the text: position derived from ${position.original}`);
+			addSourceSpan('E', position.index, position.end, position);
+			coordinateGroups.push([{
+				original: position.original,
+				lat: position.lat,
+				lon: position.lon,
+				type: 'derived',
+				reference: position.reference
+			}]);
 		}
+	} else {
+		crossCheckRadialPositions(coordinateGroups, radialPositions);
+	}
 
-		// Emit a NOTAM entry for each coordinate group
-		for (const groupCoords of coordinateGroups) {
-			// Determine if this is an area/polygon
-			let isPolygon = false;
+	// Find qualifier line coordinates only if no PSN or derived coordinates found
+	if (coordinateGroups.length === 0 && qualifier) {
+		diagnose('fallback', 'No position in the text: Q) line position used');
+		const original = sections.Q.split(/\s*\/\s*/).pop();
+		const index = sections.Q.lastIndexOf(original);
+		addSourceSpan('Q', index, index + original.length, qualifier);
+		coordinateGroups.push([{
+			original: original,
+			lat: qualifier.lat,
+			lon: qualifier.lon,
+			radius: qualifier.radius,
+			type: 'qualifierLine'
+		}]);
+	}
 
-			if (groupCoords.length >= 3 && eContent) {
-				// Check for area keywords
-				const hasAreaKeywords = areaKeywordsPattern.test(eContent) && !areaExclusionPattern.test(eContent);
+	// Without Q) line (e.g. FAA domestic NOTAMs), the reference point of the
+	// A) aerodrome stands in for the qualifier line position
+	const aerodrome = icaoCodes.length === 1 ? findReferencePoint(icaoCodes[0].toUpperCase()) : null;
+	if (coordinateGroups.length === 0 && !qualifier && aerodrome) {
+		diagnose('fallback', `No Q) line nor position in the text: reference point of ${icaoCodes[0]} used`);
+		coordinateGroups.push([{
+			original: icaoCodes[0],
+			lat: aerodrome.lat,
+			lon: aerodrome.lon,
+			radius: null,
+			type: 'qualifierLine'
+		}]);
+	}
 
-				// Check if it's a closed polygon by looking for parenthesized closing coordinate
-				// Pattern: (DDMMSSN DDDMMSSW) including various spacing and line breaks
-				const hasClosingCoord = /\(\s*\d{4,7}\s*[NS]\s+\d{5,8}\s*[EW]\s*\)/i.test(eContent);
+	// Emit a NOTAM entry for each coordinate group
+	for (const groupCoords of coordinateGroups) {
+		// Determine if this is an area/polygon
+		let isPolygon = false;
+		const groupDiagnostics = [];
 
-				// Check if multiple coordinates are connected by dashes (typical area pattern)
-				const hasDashConnectedCoords = /\d{4,7}[NS]\s+\d{5,8}[EW]\s*[-]\s*\d{4,7}[NS]\s+\d{5,8}[EW]/i.test(eContent);
+		if (suppliedGroups) {
+			isPolygon = groupCoords.length >= 3;
+		} else if (groupCoords.length >= 3 && eContent) {
+			// Check for area keywords
+			const hasAreaKeywords = areaKeywordsPattern.test(eContent) && !areaExclusionPattern.test(eContent);
 
-				// Also check if first and last coords in array are same (in case no parentheses used)
-				const firstCoord = groupCoords[0];
-				const lastCoord = groupCoords[groupCoords.length - 1];
-				const isClosed = Math.abs(firstCoord.lat - lastCoord.lat) < 0.001 &&
-				                 Math.abs(firstCoord.lon - lastCoord.lon) < 0.001;
+			// Check if it's a closed polygon by looking for parenthesized closing coordinate
+			// Pattern: (DDMMSSN DDDMMSSW) including various spacing and line breaks,
+			// or any other notation between parentheses
+			const otherNotationCoordinates = foundCoordinates.filter(c => !c.compact);
+			const hasClosingCoord = /\(\s*\d{4,7}\s*[NS]\s+\d{5,8}\s*[EW]\s*\)/i.test(eContent) ||
+				otherNotationCoordinates.some(c => /\(\s*$/.test(eContent.substring(Math.max(0, c.index - 40), c.index)) &&
+					/^\s*\)/.test(eContent.substring(c.end)));
+
+			// Check if multiple coordinates are connected by dashes (typical area pattern)
+			const hasDashConnectedCoords = /\d{4,7}[NS]\s+\d{5,8}[EW]\s*[-]\s*\d{4,7}[NS]\s+\d{5,8}[EW]/i.test(eContent) ||
+				otherNotationCoordinates.some((c, i) => i > 0 &&
+					/^\s*-\s*$/.test(eContent.substring(otherNotationCoordinates[i - 1].end, c.index)));
+
+			// Also check if first and last coords in array are same (in case no parentheses used)
+			const firstCoord = groupCoords[0];
+			const lastCoord = groupCoords[groupCoords.length - 1];
+			const isClosed = Math.abs(firstCoord.lat - lastCoord.lat) < 0.001 &&
+			                 Math.abs(firstCoord.lon - lastCoord.lon) < 0.001;
+
+			// Mark as polygon if:
+			// - Area keywords present
+			// - Closing coordinate in parentheses
+			// - Multiple dash-connected coordinates (area pattern)
+			// - First and last coords match
+			// - Arc or circle boundaries
+			isPolygon = hasAreaKeywords || hasClosingCoord || (hasDashConnectedCoords && groupCoords.length >= 4) || isClosed ||
+				groupCoords.some(c => c.type === 'arc');
+
+			const reasons = [hasAreaKeywords && 'area keywords', hasClosingCoord && 'closing coordinate in parentheses',
+				hasDashConnectedCoords && groupCoords.length >= 4 && 'dash-connected series',
+				isClosed && 'first and last coordinates match', groupCoords.some(c => c.type === 'arc') && 'arc or circle boundary'
+			].filter(Boolean);
+			groupDiagnostics.push(isPolygon
+				? { type: 'polygon', message: `Area of ${groupCoords.length} points: ${reasons.join(', ')}` }
+				: { type: 'polygon', message: `${groupCoords.length} coordinates not drawn as an area: no area keyword, closure or dash-connected series` });
+		}
 
-				// Mark as polygon if:
-				// - Area keywords present
-				// - Closing coordinate in parentheses
-				// - Multiple dash-connected coordinates (area pattern)
-				// - First and last coords match
-				isPolygon = hasAreaKeywords || hasClosingCoord || (hasDashConnectedCoords && groupCoords.length >= 4) || isClosed;
-			}
+		const selfIntersecting = isPolygon && isSelfIntersecting(groupCoords);
+		if (selfIntersecting) {
+			groupDiagnostics.push({ type: 'polygon', message: 'Self-intersecting area: vertices reordered into a simple polygon' });
+		}
+		const finalCoords = selfIntersecting ? makeSimplePolygon(groupCoords) : groupCoords;
+		if (isPolygon) {
+			normalizePolygonLongitudes(finalCoords);
+		}
+		notams.push({
+			id: notamId,
+			qualifier: qualifier,
+			decodedQCode: qualifier ? decodeQCode(qualifier.code) : null,
+			action: action,
+			replacesId: replacesId,
+			replacedBy: null,
+			cancelledBy: null,
+			fullContent: cleanNotamContent(content),
+			sourceSpans: sourceSpans,
+			coordinates: finalCoords,
+			icaoCodes: icaoCodes,
+			isPolygon: isPolygon,
+			startDate: dates.start,
+			endDate: dates.end,
+			permanent: dates.permanent,
+			estimated: dates.estimated,
+			schedule: schedule,
+			verticalLimits: verticalLimits,
+			obstacle: obstacle && groupCoords.length === 1 && groupCoords[0].obstacle || obstacle,
+			diagnostics: [...diagnostics, ...groupDiagnostics]
+		});
+	}
 
-			const finalCoords = isPolygon && isSelfIntersecting(groupCoords)
-				? makeSimplePolygon(groupCoords) : groupCoords;
-			if (isPolygon) {
-				normalizePolygonLongitudes(finalCoords);
-			}
-			notams.push({
-				id: notamId,
-				fullContent: cleanNotamContent(content),
-				coordinates: finalCoords,
-				icaoCodes: icaoCodes,
-				isPolygon: isPolygon,
-				startDate: dates.start,
-				endDate: dates.end,
-				permanent: dates.permanent,
-				estimated: dates.estimated
-			});
+	return notams;
+}
+
+// Check if a GeoJSON feature comes from the FAA NOTAM API, with the NOTAM
+// fields in properties.coreNOTAMData
+function isFaaNotamFeature(item) {
+	return Boolean(item && item.properties && item.properties.coreNOTAMData && item.properties.coreNOTAMData.notam);
+}
+
+// NOTAM features of an FAA NOTAM API document: a response page ("items"), a
+// GeoJSON FeatureCollection or a single feature. Null for other documents.
+function faaNotamApiFeatures(doc) {
+	if (!doc || typeof doc !== 'object') return null;
+	let items = [doc];
+	if (Array.isArray(doc)) {
+		items = doc;
+	} else if (Array.isArray(doc.items)) {
+		items = doc.items;
+	} else if (Array.isArray(doc.features)) {
+		items = doc.features;
+	}
+	const features = items.filter(isFaaNotamFeature);
+	return features.length > 0 ? features : null;
+}
+
+// Format an FAA NOTAM API time for the B)/C) sections (e.g. "2026-02-09 12:00"),
+// keeping "PERM" and Digital NOTAM YYMMDDHHMM times
+function faaApiDate(value) {
+	if (!value) return null;
+	if (/\bPERM\b/i.test(value)) return 'PERM';
+	if (/^\d{10}$/.test(value)) return value;
+	const date = new Date(value);
+	return isNaN(date) ? null : date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+// ID of an FAA NOTAM API NOTAM: ICAO numbers are kept ("A0412/26"), domestic
+// numbers get their accountability like FAA domestic NOTAMs ("JFK 02/123")
+function faaNotamId(notam) {
+	const number = notam.number || '';
+	return /^[A-Z]\d+\/\d+$/.test(number) ? number : `${notam.accountId || notam.location} ${number}`;
+}
+
+// Sections of an FAA NOTAM API NOTAM, from its Q) line fields, location,
+// times, schedule, text and vertical limits
+function faaNotamContent(notam) {
+	const lines = [];
+	const qFields = [notam.affectedFIR, notam.selectionCode, notam.traffic, notam.purpose, notam.scope,
+		notam.minimumFL, notam.maximumFL, notam.coordinates];
+	if (qFields.every(Boolean)) {
+		lines.push(`Q) ${qFields.join('/')}${notam.radius || ''}`);
+	}
+	lines.push(`A) ${notam.icaoLocation || faaLocationToIcao(notam.location || '')}`);
+	const start = faaApiDate(notam.effectiveStart);
+	const end = faaApiDate(notam.effectiveEnd);
+	if (start) lines.push(`B) ${start}`);
+	if (end) lines.push(`C) ${end}${end !== 'PERM' && /^Y/i.test(notam.estimatedEnd || '') ? ' EST' : ''}`);
+	if (notam.schedule) lines.push(`D) ${notam.schedule}`);
+	lines.push(`E) ${notam.text || ''}`);
+	if (notam.lowerLimit) lines.push(`F) ${notam.lowerLimit}`);
+	if (notam.upperLimit) lines.push(`G) ${notam.upperLimit}`);
+	return lines.join('\n');
+}
+
+// Coordinate groups of a GeoJSON geometry: one per point and one per polygon
+// outer ring, without its closing vertex
+function geoJsonCoordinateGroups(geometry) {
+	if (!geometry) return [];
+	const point = ([lon, lat]) => ({ original: formatCompactCoordinate(lat, lon), lat, lon, type: 'psn' });
+	const ring = positions => {
+		const points = positions.map(point);
+		const first = points[0];
+		const last = points[points.length - 1];
+		if (points.length > 1 && first.lat === last.lat && first.lon === last.lon) points.pop();
+		return points;
+	};
+	if (geometry.type === 'Point') return [[point(geometry.coordinates)]];
+	if (geometry.type === 'MultiPoint') return geometry.coordinates.map(c => [point(c)]);
+	if (geometry.type === 'Polygon') return [ring(geometry.coordinates[0])];
+	if (geometry.type === 'MultiPolygon') return geometry.coordinates.map(polygon => ring(polygon[0]));
+	if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(geoJsonCoordinateGroups);
+	return [];
+}
+
+// ICAO formatted text of an FAA NOTAM API NOTAM, from its translations
+function faaTranslationText(coreNOTAMData) {
+	const translation = (coreNOTAMData.notamTranslation || []).find(t => t.type === 'ICAO' && t.formattedText);
+	return translation ? translation.formattedText : null;
+}
+
+// Parse the features of an FAA NOTAM API document into NOTAM entries like
+// parseNotams. The ICAO translation is parsed as NOTAM text when present,
+// otherwise the content is built from the NOTAM fields. The supplied
+// geometry is used when present, otherwise the positions are found in the
+// E) text.
+function parseFaaNotamApi(features) {
+	const notams = [];
+	const seenIds = new Set();
+	features.forEach(feature => {
+		const data = feature.properties.coreNOTAMData;
+		const translation = faaTranslationText(data);
+		let entry = translation ? splitNotamText(normalizeNotamInput(translation))[0] : null;
+		if (!entry) {
+			const notam = data.notam;
+			entry = {
+				notamId: faaNotamId(notam),
+				action: parseNotamAction(notam.type ? `NOTAM${notam.type}` : null),
+				replacesId: null,
+				content: faaNotamContent(notam)
+			};
+		}
+		if (seenIds.has(entry.notamId)) return;
+		seenIds.add(entry.notamId);
+		const groups = geoJsonCoordinateGroups(feature.geometry);
+		notams.push(...parseNotamContent(entry.notamId, entry.action, entry.replacesId, entry.content,
+			groups.length > 0 ? groups : null));
+	});
+	resolveNotamReplacements(notams);
+	return notams;
+}
+
+// Positions of GML pos/posList texts, in EPSG:4326 axis order (latitude
+// first) unless longitude comes first (CRS84)
+function gmlPositions(text, lonFirst) {
+	const values = text.trim().split(/\s+/).map(parseFloat);
+	const positions = [];
+	for (let i = 0; i + 1 < values.length; i += 2) {
+		const [lat, lon] = lonFirst ? [values[i + 1], values[i]] : [values[i], values[i + 1]];
+		if (Number.isFinite(lat) && Number.isFinite(lon)) positions.push({ lat, lon });
+	}
+	return positions;
+}
+
+// Text of the gml:pos and gml:posList elements in an XML DOM node, in order
+function gmlPositionText(node) {
+	return xmlDescendants(node, '*')
+		.filter(element => element.localName === 'pos' || element.localName === 'posList')
+		.map(element => element.textContent)
+		.join(' ');
+}
+
+// Length of a GML/AIXM element in NM, from its uom attribute (NM by default)
+function aixmDistanceNM(element) {
+	const value = parseFloat(element.textContent);
+	const uom = (xmlAttribute(element, 'uom') || 'NM').toUpperCase();
+	if (uom === 'FT') return radiusToNM(value / METERS_TO_FEET, 'M');
+	if (uom === 'MI') return radiusToNM(value * 1609.344, 'M');
+	return radiusToNM(value, uom);
+}
+
+// Local names of the GML curve segments read in a ring
+const GML_SEGMENTS = ['GeodesicString', 'LineStringSegment', 'Geodesic', 'ArcByCenterPoint', 'CircleByCenterPoint'];
+
+// Vertices of a GML ring, without its closing vertex. Arcs and circles are
+// densified: their angles are bearings from true north, and an arc runs
+// from its start angle to its end angle, clockwise when the end angle is
+// greater, over the full difference (e.g. 0 to 270 is a three-quarter arc;
+// 350 to 370 crosses north clockwise, 10 to -10 counterclockwise).
+function gmlRingCoordinates(ring, lonFirst) {
+	const coordinates = [];
+	const vertex = (point, type, centre = point) => coordinates.push({
+		original: formatCompactCoordinate(centre.lat, centre.lon),
+		lat: point.lat,
+		lon: point.lon,
+		type
+	});
+	const segments = xmlDescendants(ring, '*').filter(element => GML_SEGMENTS.includes(element.localName));
+	if (segments.length === 0) {
+		gmlPositions(gmlPositionText(ring), lonFirst).forEach(p => vertex(p, 'psn'));
+	}
+	segments.forEach(segment => {
+		const type = segment.localName;
+		if (!/ByCenterPoint$/.test(type)) {
+			gmlPositions(gmlPositionText(segment), lonFirst).forEach(p => vertex(p, 'psn'));
+			return;
+		}
+		const centre = gmlPositions(gmlPositionText(segment), lonFirst)[0];
+		const radiusElement = xmlChild(segment, 'radius');
+		if (!centre || !radiusElement) return;
+		const radius = aixmDistanceNM(radiusElement);
+		if (type === 'CircleByCenterPoint') {
+			densifyCircle(centre, radius).forEach(p => vertex(p, 'arc', centre));
+			return;
+		}
+		const startAngle = parseFloat(xmlChildText(segment, 'startAngle'));
+		const endAngle = parseFloat(xmlChildText(segment, 'endAngle'));
+		const from = destinationPoint(centre, startAngle, radius);
+		const to = destinationPoint(centre, endAngle, radius);
+		[from, ...densifyArc(centre, from, to, endAngle > startAngle), to].forEach(p => vertex(p, 'arc', centre));
+	});
+	const first = coordinates[0];
+	const last = coordinates[coordinates.length - 1];
+	if (coordinates.length > 1 && Math.abs(first.lat - last.lat) < 1e-6 && Math.abs(first.lon - last.lon) < 1e-6) {
+		coordinates.pop();
+	}
+	return coordinates;
+}
+
+// Coordinate groups of an AIXM feature: one per surface outer ring and one
+// per point outside them (e.g. an obstacle or aerodrome reference point)
+function aixmCoordinateGroups(feature) {
+	const elements = [feature, ...xmlDescendants(feature, '*')];
+	const lonFirst = elements.some(element => /CRS84/.test(xmlAttribute(element, 'srsName') || ''));
+	const groups = xmlDescendants(feature, 'exterior')
+		.map(exterior => gmlRingCoordinates(exterior, lonFirst))
+		.filter(group => group.length >= 3);
+	const within = (node, names) => {
+		for (let parent = node.parentNode; parent && parent !== feature; parent = parent.parentNode) {
+			if (names.includes(parent.localName)) return true;
 		}
+		return false;
+	};
+	elements
+		.filter(element => ['ElevatedPoint', 'Point'].includes(element.localName))
+		.filter(point => !within(point, ['exterior', 'ElevatedPoint', 'Point']))
+		.forEach(point => {
+			const position = gmlPositions(gmlPositionText(point), lonFirst)[0];
+			if (position) {
+				groups.push([{ original: formatCompactCoordinate(position.lat, position.lon), ...position, type: 'psn' }]);
+			}
+		});
+	return groups;
+}
+
+// F)/G) text of a lower or upper limit of an AIXM airspace volume (e.g.
+// "FL065", "2500FT AMSL", "GND"), or null
+function aixmVerticalLimit(volume, name) {
+	const element = xmlChild(volume, name);
+	const value = element ? element.textContent.trim().toUpperCase() : '';
+	if (!value) return null;
+	const uom = (xmlAttribute(element, 'uom') || '').toUpperCase();
+	const reference = xmlChildText(volume, `${name}Reference`);
+	if (uom === 'OTHER') return /^(?:GND|UNL)$/.test(value) ? value : null;
+	if (uom === 'FL') return `FL${value.padStart(3, '0')}`;
+	if (uom === 'FT' || uom === 'M') return `${value}${uom} ${reference === 'SFC' ? 'AGL' : 'AMSL'}`;
+	return null;
+}
+
+// Fields of an AIXM event:NOTAM, named like those of the FAA NOTAM API
+// (which follows the same Event schema), the "EST" suffix of the end time
+// moved to estimatedEnd
+function aixmNotamFields(notam) {
+	const fields = {};
+	['series', 'number', 'year', 'type', 'referredSeries', 'referredNumber', 'referredYear', 'affectedFIR',
+		'selectionCode', 'traffic', 'purpose', 'scope', 'minimumFL', 'maximumFL', 'coordinates', 'radius',
+		'location', 'effectiveStart', 'effectiveEnd', 'schedule', 'text', 'lowerLimit', 'upperLimit'
+	].forEach(name => {
+		fields[name] = xmlChildText(notam, name);
+	});
+	const end = fields.effectiveEnd || '';
+	fields.estimatedEnd = /EST$/i.test(end) ? 'Y' : 'N';
+	fields.effectiveEnd = end.replace(/\s*EST$/i, '') || null;
+	return fields;
+}
+
+// Text of a formatted text element: its text and CDATA sections, with line
+// breaks for <br> elements
+function xmlFormattedText(node) {
+	return [...node.childNodes].map(child => {
+		if (child.nodeType === 1) return child.localName === 'br' ? '\n' : xmlFormattedText(child);
+		// Text and CDATA section nodes
+		return child.nodeType === 3 || child.nodeType === 4 ? child.data : '';
+	}).join('');
+}
+
+// Text NOTAM translation of an AIXM event:NOTAM (formatted or simple text),
+// or null
+function aixmTranslationText(notam) {
+	for (const translation of xmlDescendants(notam, 'NOTAMTranslation')) {
+		const element = xmlChild(translation, 'formattedText') || xmlChild(translation, 'simpleText');
+		const text = element ? xmlFormattedText(element) : '';
+		if (text.trim()) return text;
 	}
+	return null;
+}
+
+// Parse an AIXM 5.1 Digital NOTAM document into NOTAM entries like
+// parseNotams. Each event:Event with a text NOTAM gives the geometry of the
+// features it changes (linked by event:theEvent, or all features when the
+// message holds a single event), and the vertical limits of their first
+// airspace volume. The NOTAM sections come from its text translation, or
+// from the event:NOTAM fields without translation.
+function parseAixmEvents(doc) {
+	const events = xmlDescendants(doc, 'Event').map(event => ({
+		keys: [xmlAttribute(event, 'id'), xmlChildText(event, 'identifier')].filter(Boolean),
+		notam: xmlDescendants(event, 'NOTAM')[0],
+		features: []
+	}));
+	xmlDescendants(doc, 'hasMember')
+		.map(member => [...member.childNodes].find(child => child.nodeType === 1))
+		.filter(feature => feature && feature.localName !== 'Event')
+		.forEach(feature => {
+			const link = xmlDescendants(feature, 'theEvent')[0];
+			const href = link ? (xmlAttribute(link, 'href') || '').replace(/^(?:#|urn:uuid:)/, '') : null;
+			const event = href ? events.find(e => e.keys.includes(href)) : events.length === 1 && events[0];
+			if (event) event.features.push(feature);
+		});
 
+	const notams = [];
+	const seenIds = new Set();
+	events.filter(event => event.notam).forEach(event => {
+		const translation = aixmTranslationText(event.notam);
+		let entry = translation ? splitNotamText(normalizeNotamInput(translation))[0] : null;
+		if (!entry) {
+			const fields = aixmNotamFields(event.notam);
+			const id = (series, number, year) => series && number && year
+				? `${series}${number.padStart(4, '0')}/${year.slice(-2)}` : null;
+			const action = parseNotamAction(fields.type ? `NOTAM${fields.type}` : null);
+			entry = {
+				notamId: id(fields.series, fields.number, fields.year),
+				action,
+				replacesId: action !== 'NOTAMN' ? id(fields.referredSeries, fields.referredNumber, fields.referredYear) : null,
+				content: faaNotamContent(fields)
+			};
+		}
+		if (!entry.notamId || seenIds.has(entry.notamId)) return;
+		seenIds.add(entry.notamId);
+
+		const groups = event.features.flatMap(aixmCoordinateGroups);
+		const parsed = parseNotamContent(entry.notamId, entry.action, entry.replacesId, entry.content,
+			groups.length > 0 ? groups : null);
+		const volume = event.features.flatMap(feature => xmlDescendants(feature, 'AirspaceVolume'))[0];
+		const limits = volume ? { F: aixmVerticalLimit(volume, 'lowerLimit'), G: aixmVerticalLimit(volume, 'upperLimit') } : {};
+		if (limits.F || limits.G) {
+			parsed.forEach(notam => {
+				notam.verticalLimits = parseVerticalLimits(limits, notam.qualifier);
+			});
+		}
+		notams.push(...parsed);
+	});
+	resolveNotamReplacements(notams);
 	return notams;
 }
 
+// Parse NOTAM input: AIXM 5.1 Digital NOTAM XML, FAA NOTAM API JSON/GeoJSON
+// documents, or NOTAM text
+function loadNotams(text) {
+	const trimmed = text.trim();
+	const doc = trimmed.startsWith('<') ? parseXmlDocument(trimmed) : null;
+	if (doc && xmlDescendants(doc, 'Event').length > 0) {
+		return parseAixmEvents(doc);
+	}
+	if (/^[[{]/.test(trimmed)) {
+		let doc = null;
+		try {
+			doc = JSON.parse(trimmed);
+		} catch {
+			// Not JSON: NOTAM text starting with a bracket
+		}
+		const features = faaNotamApiFeatures(doc);
+		if (features) return parseFaaNotamApi(features);
+	}
+	return parseNotams(text);
+}
+
 // Clear existing markers, polygons and radius circle
 function clearMarkers() {
 	markers.forEach(marker => map.removeLayer(marker));
 	markers = [];
 	polygons.forEach(polygon => map.removeLayer(polygon));
 	polygons = [];
+	notamFocusHandlers = new Map();
+	mapEntries = [];
+	drawnLegendKeys = new Set();
+	updateLegend();
 	if (activeRadiusCircle) {
 		map.removeLayer(activeRadiusCircle);
 		activeRadiusCircle = null;
 	}
+	if (sourcePointMarker) {
+		map.removeLayer(sourcePointMarker);
+		sourcePointMarker = null;
+	}
 }
 
 // Check if two line segments (p1-p2) and (p3-p4) intersect
@@ -704,6 +2578,11 @@ function normalizePolygonLongitudes(coordinates) {
 	}
 }
 
+// Wrap a longitude into [-180, 180)
+function wrapLongitude(lon) {
+	return ((lon + 180) % 360 + 360) % 360 - 180;
+}
+
 // Canvas renderer for circles (better compatibility with html2canvas for PDF export)
 const canvasRenderer = L.canvas();
 
@@ -720,6 +2599,43 @@ const polygonHighlightStyle = {
 	fillColor: '#ff3300',
 	fillOpacity: 0.4
 };
+const polygonObsoleteStyle = {
+	color: '#888888',
+	weight: 2,
+	dashArray: '6 4',
+	fillColor: '#888888',
+	fillOpacity: 0.1
+};
+const polygonUpcomingStyle = {
+	color: '#9c2bcb',
+	weight: 2,
+	dashArray: '6 4',
+	fillColor: '#9c2bcb',
+	fillOpacity: 0.1
+};
+const polygonExpiredStyle = {
+	color: '#3d3d3d',
+	weight: 2,
+	dashArray: '2 4',
+	fillColor: '#3d3d3d',
+	fillOpacity: 0.1
+};
+
+const polygonStyles = {
+	area: polygonDefaultStyle,
+	areaObsolete: polygonObsoleteStyle,
+	areaUpcoming: polygonUpcomingStyle,
+	areaExpired: polygonExpiredStyle
+};
+
+// Kind of area drawn for a polygon NOTAM, also used as its legend entry
+function polygonKind(notam, at = briefingTime) {
+	if (isObsoleteNotam(notam)) return 'areaObsolete';
+	const state = notamValidityState(notam, at);
+	if (state === 'expired') return 'areaExpired';
+	if (state === 'upcoming') return 'areaUpcoming';
+	return 'area';
+}
 
 // Show radius circle for a location (radius in NM)
 function showRadiusCircle(lat, lon, radiusNM, color) {
@@ -763,7 +2679,7 @@ function groupNotamsByLocation(notams, showAll) {
 
 		const filteredCoords = showAll
 			? notam.coordinates
-			: notam.coordinates.filter(c => c.type === 'psn');
+			: notam.coordinates.filter(c => c.type !== 'qualifierLine');
 
 		filteredCoords.forEach((coord) => {
 			const icaoKey = notam.icaoCodes.slice().sort().join(',');
@@ -776,6 +2692,9 @@ function groupNotamsByLocation(notams, showAll) {
 					icaoCodes: notam.icaoCodes.slice(),
 					notams: [],
 					hasQualifierLine: false,
+					hasDerived: false,
+					obstacle: null,
+					obsolete: true,
 					radius: null
 				});
 			}
@@ -783,10 +2702,37 @@ function groupNotamsByLocation(notams, showAll) {
 			group.notams.push({
 				id: notam.id,
 				fullContent: notam.fullContent,
+				sourceSpans: notam.sourceSpans,
+				action: notam.action,
+				decodedQCode: notam.decodedQCode,
+				replacesId: notam.replacesId,
+				replacedBy: notam.replacedBy,
+				cancelledBy: notam.cancelledBy,
+				startDate: notam.startDate,
+				endDate: notam.endDate,
+				permanent: notam.permanent,
+				estimated: notam.estimated,
+				schedule: notam.schedule,
+				verticalLimits: notam.verticalLimits,
 				type: coord.type,
+				original: coord.original,
+				crossCheck: coord.crossCheck,
+				obstacle: coord.obstacle || notam.obstacle,
 				radius: coord.radius,
-				radiusUnit: coord.radiusUnit
+				radiusUnit: coord.radiusUnit,
+				diagnostics: notam.diagnostics
 			});
+			if (!isObsoleteNotam(notam)) {
+				group.obsolete = false;
+			}
+			if (coord.type === 'derived') {
+				group.hasDerived = true;
+			}
+			// The tallest obstacle gives the marker of the group
+			const obstacle = coord.obstacle || notam.obstacle;
+			if (obstacle && (!group.obstacle || obstacleHeightFeet(obstacle) > obstacleHeightFeet(group.obstacle))) {
+				group.obstacle = obstacle;
+			}
 			if (coord.type === 'qualifierLine') {
 				group.hasQualifierLine = true;
 				if (coord.radius) {
@@ -816,6 +2762,150 @@ function buildLocationToGroupsMap(locationGroups) {
 	return locationToGroups;
 }
 
+// Build a link that shows another NOTAM of the briefing on the map
+function buildNotamLinkHtml(id) {
+	return `<a href="#" class="notam-link" data-notam-id="${id}">${id}</a>`;
+}
+
+// Build the replacement/cancellation status lines of a NOTAM
+function buildNotamStatusHtml(notam) {
+	const lines = [];
+	if (notam.replacesId) {
+		const verb = notam.action === 'NOTAMC' ? 'Cancels' : 'Replaces';
+		lines.push(`${verb} ${notam.replacesId}`);
+	}
+	if (notam.replacedBy) {
+		lines.push(`Replaced by ${buildNotamLinkHtml(notam.replacedBy)}`);
+	}
+	if (notam.cancelledBy) {
+		lines.push(`Cancelled by ${buildNotamLinkHtml(notam.cancelledBy)}`);
+	}
+	return lines.map(line => `<div class="notam-status">${line}</div>`).join('');
+}
+
+const validityStateLabels = {
+	active: 'Active',
+	upcoming: 'Upcoming',
+	expired: 'Expired'
+};
+
+// Build the B) to C) validity line of a NOTAM with its state at the given instant
+function buildNotamValidityHtml(notam, at = briefingTime) {
+	if (!notam.startDate && !notam.endDate && !notam.permanent) return '';
+	const state = notamValidityState(notam, at);
+	const from = notam.startDate ? `${formatUtcDateTime(notam.startDate)} UTC` : '?';
+	let to = '?';
+	if (notam.permanent) {
+		to = 'PERM';
+	} else if (notam.endDate) {
+		to = `${formatUtcDateTime(notam.endDate)} UTC`;
+	}
+	const estBadge = notam.estimated ? ' <span class="est-badge" title="Estimated end date">EST</span>' : '';
+	return `<div class="notam-validity"><span class="validity-badge validity-${state}">${validityStateLabels[state]}</span> ${from} - ${to}${estBadge}</div>`;
+}
+
+// Build the schedule line of a NOTAM with a D) schedule: its text and the
+// next activation window, looked for in the next SCHEDULE_LOOKAHEAD_DAYS only
+function buildNotamScheduleHtml(notam, at = briefingTime) {
+	if (!notam.schedule) return '';
+	const text = escapeXml(notam.schedule.text);
+	const { end } = notam.schedule;
+	const until = new Date(at.getTime() + SCHEDULE_LOOKAHEAD_DAYS * MS_PER_DAY);
+	const intervals = scheduleIntervals(notam.schedule, at, until);
+	if (!intervals) {
+		return `<div class="notam-schedule">Schedule: ${text} (not decoded)</div>`;
+	}
+	const continues = !end || end > until;
+	const activation = nextActivationWindow(intervals, at);
+	let label;
+	if (!activation) {
+		label = continues ? `No activation in the next ${SCHEDULE_LOOKAHEAD_DAYS} days` : 'No further activation';
+	} else if (activation.start <= at) {
+		label = continues && activation.end >= until
+			? `<span class="schedule-active">Active</span> for more than ${SCHEDULE_LOOKAHEAD_DAYS} days`
+			: `<span class="schedule-active">Active</span> until ${formatUtcDateTime(activation.end)} UTC`;
+	} else {
+		label = `Next activation: ${formatUtcDateTime(activation.start)} - ${formatUtcDateTime(activation.end)} UTC`;
+	}
+	return `<div class="notam-schedule">Schedule: ${text} - ${label}</div>`;
+}
+
+// Build the decoded Q-code line of a NOTAM
+function buildNotamQCodeHtml(notam) {
+	if (!notam.decodedQCode) return '';
+	return `<div class="notam-qcode">${notam.decodedQCode.description}</div>`;
+}
+
+// Build the vertical limits line of a NOTAM
+function buildNotamVerticalHtml(notam) {
+	if (!notam.verticalLimits) return '';
+	return `<div class="notam-vertical">Vertical limits: ${formatVerticalLimits(notam.verticalLimits)}</div>`;
+}
+
+// Build the radial/distance line of a NOTAM: the position it was derived
+// from, or how far the published radial/distance lies from the PSN
+function buildNotamRadialHtml(notam) {
+	if (notam.type === 'derived') {
+		return `<div class="notam-radial">Position derived from ${notam.original}</div>`;
+	}
+	if (!notam.crossCheck) return '';
+	const { original, distance, mismatch } = notam.crossCheck;
+	return `<div class="notam-radial${mismatch ? ' notam-radial-mismatch' : ''}">${original}: ${distance.toFixed(2)} NM from PSN${mismatch ? ' (mismatch)' : ''}</div>`;
+}
+
+// NOTAM text with its source spans highlighted: coordinates pan the map to
+// their position when clicked, keywords are only marked
+function highlightNotamText(notam) {
+	const text = notam.fullContent;
+	const spans = (notam.sourceSpans || []).slice().sort((a, b) => a.start - b.start);
+	let html = '';
+	let offset = 0;
+	spans.forEach(span => {
+		if (span.start < offset) return;
+		const source = escapeXml(text.slice(span.start, span.end));
+		html += escapeXml(text.slice(offset, span.start));
+		html += span.kind === 'coordinate'
+			? `<mark class="source-coordinate" data-lat="${span.lat}" data-lon="${span.lon}" title="Show on map">${source}</mark>`
+			: `<mark class="source-keyword">${source}</mark>`;
+		offset = span.end;
+	});
+	return html + escapeXml(text.slice(offset));
+}
+
+// Build the parse diagnostics of a NOTAM, shown in the list when "Parse
+// diagnostics" is checked
+function buildNotamDiagnosticsHtml(notam) {
+	if (!notam.diagnostics || notam.diagnostics.length === 0) return '';
+	const items = notam.diagnostics.map(d => `<li class="diagnostic-${d.type}">${escapeXml(d.message)}</li>`);
+	return `<ul class="notam-diagnostics">${items.join('')}</ul>`;
+}
+
+// Format an obstacle height or elevation, with feet for metric values
+function formatObstacleMeasure(measure, reference) {
+	if (measure.unit === 'M') {
+		return `${measure.value} m (${Math.round(measure.value * METERS_TO_FEET)} ft) ${reference}`;
+	}
+	return `${measure.value} ft ${reference}`;
+}
+
+// Plain text details of an obstacle: height, elevation and lighting, e.g.
+// ["height 155 ft AGL", "top 1661 ft AMSL", "lighting day and night"]
+function obstacleDetails(obstacle) {
+	const parts = [];
+	if (obstacle.height) parts.push(`height ${formatObstacleMeasure(obstacle.height, 'AGL')}`);
+	if (obstacle.elevation) parts.push(`top ${formatObstacleMeasure(obstacle.elevation, 'AMSL')}`);
+	if (obstacle.lighting) parts.push(`lighting ${obstacleLightingLabels[obstacle.lighting]}`);
+	return parts;
+}
+
+// Build the obstacle line of a NOTAM: type, height, elevation and lighting
+function buildNotamObstacleHtml(notam) {
+	const obstacle = notam.obstacle;
+	if (!obstacle) return '';
+	const parts = [`<strong>${obstacleTypeLabels[obstacle.type]}</strong>`, ...obstacleDetails(obstacle)];
+	return `<div class="notam-obstacle">${parts.join(' · ')}</div>`;
+}
+
 // Build popup HTML content
 function buildPopupHtml(group, navInfo) {
 	const { groupIndex, totalAtLocation, hasMultipleAtLocation } = navInfo;
@@ -840,9 +2930,16 @@ function buildPopupHtml(group, navInfo) {
 		: '';
 
 	const notamsList = group.notams.map(n => `
-		<div class="popup-notam">
+		<div class="popup-notam${isObsoleteNotam(n) ? ' notam-obsolete' : ''}">
 			<strong>${n.id}</strong>
-			<pre class="popup-content">${n.fullContent}</pre>
+			${buildNotamQCodeHtml(n)}
+			${buildNotamStatusHtml(n)}
+			${buildNotamValidityHtml(n)}
+			${buildNotamRadialHtml(n)}
+			${buildNotamObstacleHtml(n)}
+			${buildNotamVerticalHtml(n)}
+			${buildNotamScheduleHtml(n)}
+			<pre class="popup-content">${highlightNotamText(n)}</pre>
 		</div>
 	`).join('<hr class="popup-divider">');
 
@@ -871,13 +2968,20 @@ function buildListItemHtml(group, posIndex) {
 		? `<span class="list-icao">${group.icaoCodes.join(' ')}</span>`
 		: '';
 
-	// Show DMS position for PSN NOTAMs
+	// Show DMS position for PSN and derived NOTAMs
 	const isPsnNotam = group.notams.some(n => n.type === 'psn');
 	const radiusSuffix = group.radius && isPsnNotam
 		? ` with radius ${group.radius} ${radiusUnitDisplay[group.radiusUnit] || 'NM'}`
 		: '';
-	const positionLabel = isPsnNotam
-		? `<span class="notam-position">Position (${formatDMS(group.lat, group.lon)})${radiusSuffix}</span>`
+	let positionLabel = '';
+	if (isPsnNotam) {
+		positionLabel = `<span class="notam-position">Position (${formatDMS(group.lat, group.lon)})${radiusSuffix}</span>`;
+	} else if (group.hasDerived) {
+		positionLabel = `<span class="notam-position">Derived position (${formatDMS(group.lat, group.lon)})</span>`;
+	}
+	const subjects = [...new Set(group.notams.filter(n => n.decodedQCode).map(n => n.decodedQCode.description))];
+	const subjectLabel = subjects.length > 0
+		? `<span class="notam-subject">${subjects.join('; ')}</span>`
 		: '';
 
 	return `
@@ -885,13 +2989,22 @@ function buildListItemHtml(group, posIndex) {
 			<span class="coord-label">#${posIndex}</span>
 			${listIcaoDisplay}
 			<strong>${notamIds}</strong>${countLabel}
+			${subjectLabel}
 			${positionLabel}
 		</div>
 		<div class="notam-contents">
 			${group.notams.map(n => `
-				<div class="notam-entry">
+				<div class="notam-entry${isObsoleteNotam(n) ? ' notam-obsolete' : ''}">
 					<div class="notam-entry-id">${n.id}</div>
-					<pre class="notam-content">${n.fullContent}</pre>
+					${buildNotamQCodeHtml(n)}
+					${buildNotamStatusHtml(n)}
+					${buildNotamValidityHtml(n)}
+					${buildNotamRadialHtml(n)}
+					${buildNotamObstacleHtml(n)}
+					${buildNotamVerticalHtml(n)}
+					${buildNotamScheduleHtml(n)}
+					${buildNotamDiagnosticsHtml(n)}
+					<pre class="notam-content">${highlightNotamText(n)}</pre>
 				</div>
 			`).join('<hr class="notam-divider">')}
 		</div>
@@ -955,6 +3068,17 @@ function groupPolygonsByLocation(notams) {
 	return groups;
 }
 
+// Describe the shape of a polygon NOTAM: a circle, or an area with its
+// published vertices (arc points are interpolated, not counted)
+function formatAreaShape(notam, details = []) {
+	const vertices = notam.coordinates.filter(c => c.type !== 'arc').length;
+	if (vertices === 0) {
+		return details.length > 0 ? `Circle (${details.join(', ')})` : 'Circle';
+	}
+	const hasArcs = vertices < notam.coordinates.length;
+	return `Area (${[`${vertices} points${hasArcs ? ' and arcs' : ''}`, ...details].join(', ')})`;
+}
+
 // Build popup HTML content for a polygon NOTAM
 function buildPolygonPopupHtml(notam, navInfo) {
 	const { index, total, hasMultiple } = navInfo;
@@ -976,13 +3100,19 @@ function buildPolygonPopupHtml(notam, navInfo) {
 			${navHtml}
 			<div class="popup-header">
 				${icaoDisplay}
-				<div class="popup-coords">Area (${notam.coordinates.length} points)</div>
+				<div class="popup-coords">${formatAreaShape(notam)}</div>
 				<span class="popup-count">1 NOTAM</span>
 			</div>
 			<div class="popup-notams-list">
-				<div class="popup-notam">
+				<div class="popup-notam${isObsoleteNotam(notam) ? ' notam-obsolete' : ''}">
 					<strong>${notam.id}</strong>
-					<pre class="popup-content">${notam.fullContent}</pre>
+					${buildNotamQCodeHtml(notam)}
+					${buildNotamStatusHtml(notam)}
+					${buildNotamValidityHtml(notam)}
+					${buildNotamObstacleHtml(notam)}
+					${buildNotamVerticalHtml(notam)}
+					${buildNotamScheduleHtml(notam)}
+					<pre class="popup-content">${highlightNotamText(notam)}</pre>
 				</div>
 			</div>
 		</div>
@@ -994,18 +3124,30 @@ function buildPolygonListItemHtml(notam, posIndex) {
 	const icaoDisplay = notam.icaoCodes.length > 0
 		? `<span class="list-icao">${notam.icaoCodes.join(' ')}</span>`
 		: '';
+	const areaDetails = notam.verticalLimits ? [formatVerticalLimits(notam.verticalLimits)] : [];
+	const subjectLabel = notam.decodedQCode
+		? `<span class="notam-subject">${notam.decodedQCode.description}</span>`
+		: '';
 
 	return `
 		<div class="notam-header">
 			<span class="coord-label">#${posIndex}</span>
 			${icaoDisplay}
 			<strong>${notam.id}</strong>
-			<span class="notam-area">Area (${notam.coordinates.length} points)</span>
+			${subjectLabel}
+			<span class="notam-area">${formatAreaShape(notam, areaDetails)}</span>
 		</div>
 		<div class="notam-contents">
-			<div class="notam-entry">
+			<div class="notam-entry${isObsoleteNotam(notam) ? ' notam-obsolete' : ''}">
 				<div class="notam-entry-id">${notam.id}</div>
-				<pre class="notam-content">${notam.fullContent}</pre>
+				${buildNotamQCodeHtml(notam)}
+				${buildNotamStatusHtml(notam)}
+				${buildNotamValidityHtml(notam)}
+				${buildNotamObstacleHtml(notam)}
+				${buildNotamVerticalHtml(notam)}
+				${buildNotamScheduleHtml(notam)}
+				${buildNotamDiagnosticsHtml(notam)}
+				<pre class="notam-content">${highlightNotamText(notam)}</pre>
 			</div>
 		</div>
 	`;
@@ -1014,6 +3156,7 @@ function buildPolygonListItemHtml(notam, posIndex) {
 // Set up polygon event handlers for highlight and popup navigation
 function setupPolygonEvents(polygon, navInfo, polygonMap, centroidKey) {
 	const { index, total, hasMultiple } = navInfo;
+	const baseStyle = polygon._baseStyle;
 
 	polygon.on('popupopen', () => {
 		polygon.setStyle(polygonHighlightStyle);
@@ -1026,7 +3169,7 @@ function setupPolygonEvents(polygon, navInfo, polygonMap, centroidKey) {
 			prevBtn.onclick = () => {
 				const prevIndex = (index - 1 + total) % total;
 				const prevPolygon = polygonMap.get(`${centroidKey}_${prevIndex}`);
-				polygon.setStyle(polygonDefaultStyle);
+				polygon.setStyle(baseStyle);
 				polygon.closePopup();
 				prevPolygon.openPopup();
 			};
@@ -1034,7 +3177,7 @@ function setupPolygonEvents(polygon, navInfo, polygonMap, centroidKey) {
 			nextBtn.onclick = () => {
 				const nextIndex = (index + 1) % total;
 				const nextPolygon = polygonMap.get(`${centroidKey}_${nextIndex}`);
-				polygon.setStyle(polygonDefaultStyle);
+				polygon.setStyle(baseStyle);
 				polygon.closePopup();
 				nextPolygon.openPopup();
 			};
@@ -1042,130 +3185,775 @@ function setupPolygonEvents(polygon, navInfo, polygonMap, centroidKey) {
 	});
 
 	polygon.on('popupclose', () => {
-		polygon.setStyle(polygonDefaultStyle);
+		polygon.setStyle(baseStyle);
 	});
 }
 
-// Main function to parse and display
-function parseAndDisplay() {
-	const input = document.getElementById('notamInput').value;
-	const notams = parseNotams(input);
-	const listEl = document.getElementById('coordinatesList');
-	const showAll = document.getElementById('showAllNotams').checked;
+// Route corridor briefing: only the NOTAMs whose position, radius circle or
+// area intersects the corridor around the route are shown
+let briefingRoute = null; // { points, halfWidth } applied from the route inputs
+let routeLayers = []; // Route line, corridor and waypoints drawn on the map
 
-	clearMarkers();
-	listEl.innerHTML = '';
+const routeStyle = {
+	color: '#1a7f37',
+	weight: 3
+};
+const corridorStyle = {
+	color: '#1a7f37',
+	weight: 1,
+	dashArray: '6 4',
+	fillColor: '#1a7f37',
+	fillOpacity: 0.08
+};
 
-	if (notams.length === 0) {
-		listEl.innerHTML = '<li class="no-results">No NOTAMs with coordinates found.</li>';
-		return;
-	}
+// Look up a route waypoint: aerodrome reference point
+function findWaypoint(ident) {
+	const point = findReferencePoint(ident);
+	return point ? { lat: point.lat, lon: point.lon } : null;
+}
 
-	const bounds = [];
-	const markerMap = new Map();
-	const polygonMap = new Map();
-	let posIndex = 1;
+// Parse a route made of aerodrome identifiers and coordinates in
+// any supported notation, e.g. "LFPN LFAK LFRS" or "484024N 0030441E
+// 4908325N 0004328W". "DCT" is skipped; unknown tokens are returned apart.
+function parseRoute(text) {
+	const input = text.toUpperCase();
+	const points = [];
+	const unresolved = [];
+	const addIdents = segment => {
+		for (const token of segment.split(/[\s,;-]+/)) {
+			if (!token || token === 'DCT') continue;
+			const point = /^[A-Z0-9]{2,5}$/.test(token) ? findWaypoint(token) : null;
+			if (point) {
+				points.push({ name: token, ...point });
+			} else {
+				unresolved.push(token);
+			}
+		}
+	};
+	let last = 0;
+	for (const coord of findCoordinates(input)) {
+		addIdents(input.slice(last, coord.index));
+		points.push({ name: coord.original, lat: coord.lat, lon: coord.lon });
+		last = coord.end;
+	}
+	addIdents(input.slice(last));
+	return { points, unresolved };
+}
 
-	// Draw polygon NOTAMs
-	const polygonGroups = groupPolygonsByLocation(notams);
+// Tolerance used to simplify recorded tracks before drawing their corridor
+const TRACK_SIMPLIFY_TOLERANCE_NM = 0.5;
+
+// Simplify a line (Douglas-Peucker), keeping points further than the
+// tolerance (NM) from the simplified line
+function simplifyRoute(points, tolerance) {
+	if (points.length <= 2) return points;
+	const keep = new Array(points.length).fill(false);
+	keep[0] = keep[points.length - 1] = true;
+	const stack = [[0, points.length - 1]];
+	while (stack.length > 0) {
+		const [first, last] = stack.pop();
+		let farthest = -1;
+		let farthestDistance = tolerance;
+		for (let i = first + 1; i < last; i++) {
+			const distance = segmentDistanceNM(points[i], points[first], points[last]);
+			if (distance > farthestDistance) {
+				farthest = i;
+				farthestDistance = distance;
+			}
+		}
+		if (farthest !== -1) {
+			keep[farthest] = true;
+			stack.push([first, farthest], [farthest, last]);
+		}
+	}
+	return points.filter((_, i) => keep[i]);
+}
 
-	polygonGroups.forEach((group, centroidKey) => {
-		// Draw in reverse order so first polygon ends up on top
-		for (let i = group.length - 1; i >= 0; i--) {
-			const { notam } = group[i];
-			const navInfo = { index: i, total: group.length, hasMultiple: group.length > 1 };
+// Parse an XML text into a DOM document, or null when it is not well-formed
+function parseXmlDocument(text) {
+	let doc = null;
+	try {
+		doc = new DOMParser().parseFromString(text, 'application/xml');
+	} catch {
+		// Not well-formed: some parsers throw instead of returning a parsererror document
+		return null;
+	}
+	return doc.getElementsByTagName('parsererror').length > 0 ? null : doc;
+}
 
-			const polygon = L.polygon(notam.coordinates.map(c => [c.lat, c.lon]), {
-				...polygonDefaultStyle,
-				renderer: canvasRenderer
-			}).addTo(map);
-			polygon._area = computePolygonArea(notam.coordinates);
+// Element descendants of an XML DOM node with the given local name, whatever
+// their namespace (e.g. "Event" matches <event:Event>, <ns2:Event> and <Event>
+// in a default namespace), in document order
+function xmlDescendants(node, name) {
+	return [...node.getElementsByTagNameNS('*', name)];
+}
 
-			polygon.bindPopup(buildPolygonPopupHtml(notam, navInfo), POPUP_OPTIONS);
-			setupPolygonEvents(polygon, navInfo, polygonMap, centroidKey);
+// First element child of an XML DOM node with the given local name, or null
+function xmlChild(node, name) {
+	return [...node.childNodes].find(child => child.localName === name) || null;
+}
 
-			polygons.push(polygon);
-			polygonMap.set(`${centroidKey}_${i}`, polygon);
-			notam.coordinates.forEach(c => bounds.push([c.lat, c.lon]));
+// Trimmed text of the first element child with the given local name, or null
+function xmlChildText(node, name) {
+	const child = xmlChild(node, name);
+	return child ? child.textContent.trim() : null;
+}
 
-			const li = document.createElement('li');
-			li.innerHTML = buildPolygonListItemHtml(notam, posIndex);
-			li.querySelector('.notam-header').onclick = () => {
-				map.fitBounds(polygon.getBounds(), FIT_BOUNDS_PADDING);
-				polygon.openPopup();
-				document.getElementById('map').scrollIntoView({ behavior: 'smooth', block: 'center' });
-			};
-			listEl.appendChild(li);
-			posIndex++;
-		}
-	});
+// Value of an attribute of an XML DOM element by local name, whatever its
+// namespace (e.g. "href" for xlink:href), or null
+function xmlAttribute(element, name) {
+	const attribute = [...element.attributes].find(a => a.localName === name);
+	return attribute ? attribute.value : null;
+}
 
-	// Bring smaller polygons to front so they are clickable over larger ones
-	polygons.sort((a, b) => b._area - a._area);
-	polygons.forEach(p => p.bringToFront());
+// Waypoint from a latitude and longitude in decimal degrees, or null
+function decimalWaypoint(name, lat, lon) {
+	const point = { name, lat: parseFloat(lat), lon: parseFloat(lon) };
+	return Number.isFinite(point.lat) && Number.isFinite(point.lon) ? point : null;
+}
 
-	const locationGroups = groupNotamsByLocation(notams, showAll);
+// Waypoint from a coordinate in any supported notation, or null
+function textWaypoint(name, text) {
+	const coord = text ? findCoordinates(text.toUpperCase())[0] : null;
+	return coord ? { name: name || coord.original, lat: coord.lat, lon: coord.lon } : null;
+}
 
-	if (locationGroups.size === 0 && polygons.length === 0) {
-		listEl.innerHTML = '<li class="no-results">No NOTAMs with PSN coordinates found. Enable "Show all NOTAMs" to include qualifier line coordinates.</li>';
-		return;
+// ICAO FPL message: departure (field 13), route (field 15) and destination
+// (field 16), e.g. "(FPL-FGABC-VG -DR40/L-SDFGY/S -LFPN0900
+// -N0105VFR DCT PON DCT 4830N00130E -LFRS0130 -DOF/260218)". Airways and
+// procedures are skipped: the route goes straight between their ends.
+function parseIcaoFlightPlan(text) {
+	const message = text.slice(text.indexOf('(FPL-') + 1).split(')')[0].toUpperCase();
+	const fields = message.split('-').map(f => f.trim().replace(/\s+/g, ' '));
+	const departure = fields.findIndex(f => /^[A-Z]{4}\d{4}$/.test(f));
+	if (departure === -1 || departure + 2 >= fields.length) return [];
+
+	const idents = [fields[departure].slice(0, 4)];
+	for (let token of fields[departure + 1].split(' ').slice(1)) {
+		token = token.split('/')[0];
+		if (/^(?:DCT|VFR|IFR|T)$/.test(token)) continue;
+		if (/^[A-Z]{1,2}\d{1,4}[A-Z]?$/.test(token) || /^[A-Z]{2,5}\d[A-Z]$/.test(token)) continue;
+		idents.push(token);
 	}
+	idents.push(fields[departure + 2].slice(0, 4));
 
-	const locationToGroups = buildLocationToGroupsMap(locationGroups);
+	return idents.filter(ident => ident !== 'ZZZZ').map(ident => {
+		const m = ident.match(/^(\d{2})(\d{2})?([NS])(\d{3})(\d{2})?([EW])$/);
+		const coord = m ? coordinateFromParts([m[1], m[2], null, m[3]], [m[4], m[5], null, m[6]]) : null;
+		return coord ? { name: ident, ...coord } : { name: ident };
+	});
+}
 
-	locationGroups.forEach((group, key) => {
-		const groupsAtLocation = locationToGroups.get(group.locationKey);
-		const groupIndex = groupsAtLocation.findIndex(g => g.key === key);
-		const totalAtLocation = groupsAtLocation.length;
-		const hasMultipleAtLocation = totalAtLocation > 1;
-		const navInfo = { groupIndex, totalAtLocation, hasMultipleAtLocation, groupsAtLocation };
+// Garmin .fpl: route points refer to the waypoint table by identifier
+function parseGarminFlightPlan(doc) {
+	const table = new Map();
+	for (const waypoint of xmlDescendants(doc, 'waypoint')) {
+		const ident = xmlChildText(waypoint, 'identifier');
+		const point = decimalWaypoint(ident, xmlChildText(waypoint, 'lat'), xmlChildText(waypoint, 'lon'));
+		if (ident && point && !table.has(ident)) {
+			table.set(ident, point);
+		}
+	}
+	return xmlDescendants(doc, 'route-point').map(routePoint => {
+		const ident = xmlChildText(routePoint, 'waypoint-identifier');
+		return table.get(ident) || { name: ident };
+	}).filter(point => point.name);
+}
 
-		// First marker at a location gets higher z-index so it's clickable
-		const zIndexOffset = hasMultipleAtLocation ? (totalAtLocation - groupIndex) * 100 : 0;
-		const icon = group.hasQualifierLine ? blueIcon : redIcon;
-		const marker = L.marker([group.lat, group.lon], { icon, zIndexOffset }).addTo(map);
+// GPX: first route, or else the points of all track segments simplified
+function parseGpxRoute(doc) {
+	const toWaypoint = element => decimalWaypoint(xmlChildText(element, 'name'), xmlAttribute(element, 'lat'), xmlAttribute(element, 'lon'));
+	const route = xmlDescendants(doc, 'rte')[0];
+	if (route) {
+		return xmlDescendants(route, 'rtept').map(toWaypoint).filter(Boolean);
+	}
+	const track = xmlDescendants(doc, 'trkpt').map(toWaypoint).filter(Boolean);
+	return simplifyRoute(track, TRACK_SIMPLIFY_TOLERANCE_NM);
+}
 
-		marker.bindPopup(buildPopupHtml(group, navInfo), POPUP_OPTIONS);
-		setupMarkerEvents(marker, group, navInfo, markerMap);
+// SkyDemon .flightplan: start of the primary route, then the end of each leg,
+// e.g. <PrimaryRoute Start="N484459.00 E0020639.00"><RhumbLineRoute To="..."/>
+function parseSkyDemonFlightPlan(doc) {
+	const route = xmlDescendants(doc, 'PrimaryRoute')[0];
+	const legs = xmlDescendants(route, '*').map(leg => xmlAttribute(leg, 'To')).filter(Boolean);
+	return [xmlAttribute(route, 'Start'), ...legs].map(text => textWaypoint(null, text)).filter(Boolean);
+}
 
-		markers.push(marker);
-		bounds.push([group.lat, group.lon]);
-		markerMap.set(key, marker);
+// FSX/MSFS .pln (also written by SkyDemon and Little Navmap): ATC waypoints
+// with their position, e.g. <WorldPosition>N48° 44' 59.00",E2° 6' 39.00",+000538.00</WorldPosition>
+function parsePlnFlightPlan(doc) {
+	return xmlDescendants(doc, 'ATCWaypoint')
+		.map(waypoint => textWaypoint(xmlAttribute(waypoint, 'id'), xmlChildText(waypoint, 'WorldPosition')))
+		.filter(Boolean);
+}
 
-		const li = document.createElement('li');
-		li.innerHTML = buildListItemHtml(group, posIndex);
-		li.querySelector('.notam-header').onclick = () => {
-			map.setView([group.lat, group.lon], 12);
-			marker.openPopup();
-			document.getElementById('map').scrollIntoView({ behavior: 'smooth', block: 'center' });
-		};
-		listEl.appendChild(li);
-		posIndex++;
+// Read the waypoints of a flight plan file, or null when the text is not a
+// flight plan. Waypoints without a position only have a name.
+function parseFlightPlan(text) {
+	const trimmed = text.trim();
+	const doc = trimmed.startsWith('<') ? parseXmlDocument(trimmed) : null;
+	if (doc) {
+		const root = doc.documentElement.localName;
+		if (root === 'gpx') return parseGpxRoute(doc);
+		if (root === 'flight-plan') return parseGarminFlightPlan(doc);
+		if (xmlDescendants(doc, 'PrimaryRoute').length > 0) return parseSkyDemonFlightPlan(doc);
+		if (xmlDescendants(doc, 'ATCWaypoint').length > 0) return parsePlnFlightPlan(doc);
+	}
+	if (text.includes('(FPL-')) return parseIcaoFlightPlan(text);
+	return null;
+}
+
+// Split an angle into whole degrees, minutes and seconds, rounded to the second
+function splitDegrees(value) {
+	const seconds = Math.round(Math.abs(value) * 3600);
+	return { deg: Math.floor(seconds / 3600), min: Math.floor(seconds % 3600 / 60), sec: seconds % 60 };
+}
+
+// Format a position as a compact DDMMSSN DDDMMSSE coordinate
+function formatCompactCoordinate(lat, lon) {
+	const format = (value, degDigits, hemispheres) => {
+		const { deg, min, sec } = splitDegrees(value);
+		const pad = (n, digits) => n.toString().padStart(digits, '0');
+		return `${pad(deg, degDigits)}${pad(min, 2)}${pad(sec, 2)}${value < 0 ? hemispheres[1] : hemispheres[0]}`;
+	};
+	return `${format(lat, 2, 'NS')} ${format(lon, 3, 'EW')}`;
+}
+
+// Route text for the route input: waypoints with a position are written as
+// coordinates, the others by name to be resolved offline
+function flightPlanRouteText(waypoints) {
+	return waypoints.map(p => p.lat !== undefined ? formatCompactCoordinate(p.lat, p.lon) : p.name).join(' ');
+}
+
+// Position of a point in NM on a plane tangent to the earth at the origin
+function projectNM(point, origin) {
+	const dLon = ((point.lon - origin.lon + 540) % 360) - 180;
+	return {
+		x: dLon * 60 * Math.cos(origin.lat * Math.PI / 180),
+		y: (point.lat - origin.lat) * 60
+	};
+}
+
+// Distance in NM from a point to a segment, measured on a plane tangent at
+// the point (accurate enough for corridors a few tens of NM wide)
+function segmentDistanceNM(point, from, to) {
+	const a = projectNM(from, point);
+	const b = projectNM(to, point);
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const lengthSq = dx * dx + dy * dy;
+	const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+	return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+// Shortest distance in NM from a point to a route
+function routeDistanceNM(point, route) {
+	if (route.length === 1) return distanceNM(point, route[0]);
+	let distance = Infinity;
+	for (let i = 1; i < route.length; i++) {
+		distance = Math.min(distance, segmentDistanceNM(point, route[i - 1], route[i]));
+	}
+	return distance;
+}
+
+// Check if a point is inside a polygon (ray casting)
+function pointInPolygon(point, coordinates) {
+	let inside = false;
+	for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
+		const a = coordinates[i];
+		const b = coordinates[j];
+		if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+			point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+// Check if a marker group intersects the corridor, including its radius circle
+function groupIntersectsCorridor(group, route, halfWidth) {
+	const radius = group.radius ? radiusToNM(group.radius, group.radiusUnit) : 0;
+	return routeDistanceNM(group, route) <= halfWidth + radius;
+}
+
+// Check if an area intersects the corridor: the route crosses or lies inside
+// it, or one of its edges comes within the half-width of the route. Two
+// segments are closest at an end of one of them, so checking the ends is enough.
+function polygonIntersectsCorridor(coordinates, route, halfWidth) {
+	if (route.some(point => pointInPolygon(point, coordinates))) return true;
+	const n = coordinates.length;
+	for (let i = 0; i < n; i++) {
+		const a = coordinates[i];
+		const b = coordinates[(i + 1) % n];
+		if (routeDistanceNM(a, route) <= halfWidth) return true;
+		if (route.some(point => segmentDistanceNM(point, a, b) <= halfWidth)) return true;
+		for (let j = 1; j < route.length; j++) {
+			if (segmentsIntersect(a, b, route[j - 1], route[j])) return true;
+		}
+	}
+	return false;
+}
+
+// Keep the groups of groupNotamsByLocation intersecting the corridor
+function locationGroupsInCorridor(locationGroups, corridor) {
+	if (!corridor) return locationGroups;
+	const groups = new Map();
+	locationGroups.forEach((group, key) => {
+		if (groupIntersectsCorridor(group, corridor.points, corridor.halfWidth)) {
+			groups.set(key, group);
+		}
 	});
+	return groups;
+}
 
-	if (bounds.length > 0) {
-		map.fitBounds(bounds, FIT_BOUNDS_PADDING);
+// Keep the areas of groupPolygonsByLocation intersecting the corridor
+function polygonGroupsInCorridor(polygonGroups, corridor) {
+	if (!corridor) return polygonGroups;
+	const groups = new Map();
+	polygonGroups.forEach((group, centroidKey) => {
+		const kept = group.filter(({ notam }) => polygonIntersectsCorridor(notam.coordinates, corridor.points, corridor.halfWidth));
+		if (kept.length > 0) {
+			groups.set(centroidKey, kept);
+		}
+	});
+	return groups;
+}
+
+// Outline of the corridor around a route segment: both sides joined by half
+// circles around the ends
+function corridorSegmentOutline(from, to, halfWidth) {
+	const points = [];
+	const endCourse = (bearingDegrees(to, from) + 180) % 360;
+	for (let angle = -90; angle <= 90; angle += ARC_STEP_DEGREES) {
+		points.push(destinationPoint(to, endCourse + angle, halfWidth));
 	}
+	const startCourse = bearingDegrees(from, to);
+	for (let angle = 90; angle <= 270; angle += ARC_STEP_DEGREES) {
+		points.push(destinationPoint(from, startCourse + angle, halfWidth));
+	}
+	return points;
+}
 
-	// Update statistics
+// Draw the applied route and its corridor, or remove them
+function drawRoute() {
+	routeLayers.forEach(layer => map.removeLayer(layer));
+	routeLayers = [];
+	if (!briefingRoute) {
+		updateLegend();
+		return;
+	}
+
+	const { points, halfWidth } = briefingRoute;
+	const outlines = points.length === 1
+		? [densifyCircle(points[0], halfWidth)]
+		: points.slice(1).map((point, i) => corridorSegmentOutline(points[i], point, halfWidth));
+	outlines.forEach(outline => {
+		routeLayers.push(L.polygon(outline.map(c => [c.lat, c.lon]), {
+			...corridorStyle,
+			interactive: false,
+			renderer: canvasRenderer
+		}).addTo(map));
+	});
+	routeLayers.push(L.polyline(points.map(p => [p.lat, p.lon]), {
+		...routeStyle,
+		interactive: false,
+		renderer: canvasRenderer
+	}).addTo(map));
+	points.forEach(p => {
+		routeLayers.push(L.circleMarker([p.lat, p.lon], {
+			radius: 4,
+			color: routeStyle.color,
+			fillColor: '#ffffff',
+			fillOpacity: 1,
+			weight: 2
+		}).bindTooltip(p.name).addTo(map));
+	});
+	updateLegend();
+}
+
+// Apply the route and corridor half-width entered in the route inputs
+function applyRoute() {
+	const statusEl = document.getElementById('routeStatus');
+	const { points, unresolved } = parseRoute(document.getElementById('routeInput').value);
+	const halfWidth = parseFloat(document.getElementById('routeWidth').value);
+
+	if (points.length === 0 || !(halfWidth > 0)) {
+		statusEl.textContent = points.length === 0 ? 'Enter at least one known waypoint.' : 'Enter a corridor half-width in NM.';
+		return;
+	}
+	statusEl.textContent = unresolved.length > 0 ? `Unknown waypoints ignored: ${unresolved.join(', ')}` : '';
+
+	briefingRoute = { points, halfWidth };
+	drawRoute();
+	map.fitBounds(L.featureGroup(routeLayers).getBounds(), FIT_BOUNDS_PADDING);
+	refreshDisplay();
+}
+
+// Use the waypoints of a flight plan file as the briefing route
+function loadFlightPlanRoute(waypoints) {
+	if (waypoints.length === 0) {
+		document.getElementById('routeStatus').textContent = 'No route found in the flight plan.';
+		return;
+	}
+	document.getElementById('routeInput').value = flightPlanRouteText(waypoints);
+	applyRoute();
+}
+
+// Remove the route and show all NOTAMs again
+function clearRoute() {
+	briefingRoute = null;
+	document.getElementById('routeStatus').textContent = '';
+	drawRoute();
+	refreshDisplay();
+}
+
+// Parse an altitude filter input in feet or flight level into feet.
+// Returns null for an empty or invalid input (no bound).
+// Examples: "2500", "2500FT", "FL65", "FL065", "SFC", "UNL"
+function parseAltitudeInput(str) {
+	const s = str.trim().toUpperCase();
+	if (!s) return null;
+	if (/^(?:FL\s*\d{1,3}|SFC|GND|UNL)$/.test(s)) return parseVerticalLimit(s).feet;
+	const m = s.match(/^(\d+)\s*(FT|M)?$/);
+	if (!m) return null;
+	const value = parseInt(m[1], 10);
+	return m[2] === 'M' ? Math.round(value * METERS_TO_FEET) : value;
+}
+
+// Read the altitude band selected in the filter inputs (bounds in feet, null if unset)
+function readAltitudeBand() {
+	return {
+		min: parseAltitudeInput(document.getElementById('altitudeMin').value),
+		max: parseAltitudeInput(document.getElementById('altitudeMax').value)
+	};
+}
+
+// Read the values of the checked filter checkboxes with the given name
+function readCheckedValues(name) {
+	return new Set([...document.querySelectorAll(`input[name="${name}"]:checked`)].map(el => el.value));
+}
+
+// Read all display filters. An empty set means no filtering on that field.
+function readNotamFilters() {
+	return {
+		altitude: readAltitudeBand(),
+		time: {
+			at: readTimelineTime(),
+			validOnly: document.getElementById('timelineValidOnly').checked
+		},
+		categories: readCheckedValues('filterCategory'),
+		firs: readCheckedValues('filterFir'),
+		traffic: readCheckedValues('filterTraffic'),
+		purpose: readCheckedValues('filterPurpose'),
+		scope: readCheckedValues('filterScope')
+	};
+}
+
+// Check if any letter of a qualifier field (e.g. "IV", "NBO") is selected
+function qualifierFieldMatches(field, selected) {
+	if (selected.size === 0) return true;
+	return [...(field || '').toUpperCase()].some(letter => selected.has(letter));
+}
+
+// Check if a NOTAM passes all display filters. When a qualifier field is
+// filtered, NOTAMs without Q) line are hidden.
+function notamMatchesFilters(notam, filters) {
+	if (filters.time.validOnly && notamValidityState(notam, filters.time.at) !== 'active') return false;
+	if (!notamMatchesAltitudeBand(notam, filters.altitude)) return false;
+	const q = notam.qualifier;
+	if (filters.categories.size > 0 && !filters.categories.has(qCodeCategory(q ? q.code : ''))) return false;
+	if (filters.firs.size > 0 && !(q && filters.firs.has(q.fir.trim().toUpperCase()))) return false;
+	if (!qualifierFieldMatches(q && q.traffic, filters.traffic)) return false;
+	if (!qualifierFieldMatches(q && q.purpose, filters.purpose)) return false;
+	if (!qualifierFieldMatches(q && q.scope, filters.scope)) return false;
+	return true;
+}
+
+// Fill the FIR filter with the FIRs of the parsed NOTAMs, keeping checked ones
+function renderFirFilter(notams) {
+	const container = document.getElementById('firFilterOptions');
+	const checked = readCheckedValues('filterFir');
+	const firs = [...new Set(notams.filter(n => n.qualifier).map(n => n.qualifier.fir.trim().toUpperCase()))].sort();
+	container.innerHTML = firs.length > 0
+		? firs.map(fir => `
+			<label class="checkbox-label"><input type="checkbox" name="filterFir" value="${fir}"${checked.has(fir) ? ' checked' : ''} /> ${fir}</label>
+		`).join('')
+		: '<span class="filter-empty">No NOTAM parsed yet</span>';
+}
+
+// Read the instant selected on the validity timeline (slider value in minutes)
+function readTimelineTime() {
+	return new Date(Number(document.getElementById('timelineSlider').value) * MS_PER_MINUTE);
+}
+
+// Show the instant selected on the validity timeline
+function updateTimelineLabel() {
+	const at = readTimelineTime();
+	document.getElementById('timelineLabel').textContent = `${formatUtcDateTime(at)} ${at.getUTCFullYear()} UTC`;
+}
+
+// Move the validity timeline to the current time
+function resetTimelineToNow() {
+	document.getElementById('timelineSlider').value = Math.round(Date.now() / MS_PER_MINUTE);
+	updateTimelineLabel();
+}
+
+// Set the timeline range to cover the validity of the parsed NOTAMs,
+// from at least one day before to one week after now, and at most one year around now
+function updateTimelineRange(notams) {
+	const now = Date.now();
+	let min = now - MS_PER_DAY;
+	let max = now + 7 * MS_PER_DAY;
+	notams.forEach(n => {
+		if (n.startDate) min = Math.min(min, n.startDate.getTime());
+		if (n.endDate) max = Math.max(max, n.endDate.getTime());
+	});
+	min = Math.max(min, now - 365 * MS_PER_DAY);
+	max = Math.min(max, now + 365 * MS_PER_DAY);
+
+	const slider = document.getElementById('timelineSlider');
+	const selected = readTimelineTime().getTime();
+	slider.min = Math.floor(min / MS_PER_MINUTE);
+	slider.max = Math.ceil(max / MS_PER_MINUTE);
+	slider.value = Math.round(Math.min(Math.max(selected, min), max) / MS_PER_MINUTE);
+	updateTimelineLabel();
+}
+
+// Check if the vertical limits of a NOTAM overlap the altitude band.
+// NOTAMs without known vertical limits are always kept.
+function notamMatchesAltitudeBand(notam, band) {
+	const limits = notam.verticalLimits;
+	if (!limits) return true;
+	if (band.max != null && limits.lower && limits.lower.feet > band.max) return false;
+	if (band.min != null && limits.upper && limits.upper.feet < band.min) return false;
+	return true;
+}
+
+let parsedNotams = []; // NOTAMs of the last parsed input
+let notamSource = null; // Name of the file or URL the NOTAM input was loaded from
+
+// Main function to parse and display
+function parseAndDisplay() {
+	const input = document.getElementById('notamInput').value;
+	parsedNotams = loadNotams(input);
+	renderFirFilter(parsedNotams);
+	updateTimelineRange(parsedNotams);
+	displayNotams(parsedNotams, true);
+}
+
+// Redraw the last parsed NOTAMs after a filter change, keeping the map view
+function refreshDisplay() {
+	if (parsedNotams.length === 0) return;
+	displayNotams(parsedNotams, false);
+}
+
+// Update statistics
+function updateStatistics(notams, hiddenCount) {
 	const statsEl = document.getElementById('statistics');
 	const totalNotams = notams.length;
 	const areaNotams = notams.filter(n => n.isPolygon).length;
-	const positionNotams = notams.filter(n => !n.isPolygon && n.coordinates.some(c => c.type === 'psn')).length;
+	const positionNotams = notams.filter(n => !n.isPolygon && n.coordinates.some(c => c.type === 'psn' || c.type === 'derived')).length;
 	const qualifierNotams = notams.filter(n => !n.isPolygon && n.coordinates.every(c => c.type === 'qualifierLine')).length;
+	const obsoleteNotams = notams.filter(isObsoleteNotam).length;
 
-	if (totalNotams > 0) {
+	if (totalNotams > 0 || hiddenCount > 0) {
 		statsEl.innerHTML = `
 			<span><strong>All NOTAMs:</strong> ${totalNotams}</span>
 			<span><strong>No position:</strong> ${qualifierNotams}</span>
 			<span><strong>Positions:</strong> ${positionNotams}</span>
 			<span><strong>Areas:</strong> ${areaNotams}</span>
+			${obsoleteNotams > 0 ? `<span><strong>Replaced/cancelled:</strong> ${obsoleteNotams}</span>` : ''}
+			${hiddenCount > 0 ? `<span><strong>Filtered out:</strong> ${hiddenCount}</span>` : ''}
 		`;
 	} else {
 		statsEl.innerHTML = '';
 	}
 }
 
+// Draw NOTAMs matching the display filters on the map and in the list
+function displayNotams(allNotams, fitToBounds) {
+	const filters = readNotamFilters();
+	briefingTime = filters.time.at;
+	const notams = allNotams.filter(n => notamMatchesFilters(n, filters));
+	const listEl = document.getElementById('coordinatesList');
+	const showAll = document.getElementById('showAllNotams').checked;
+
+	clearMarkers();
+	listEl.innerHTML = '';
+	updateStatistics(notams, allNotams.length - notams.length);
+
+	if (allNotams.length === 0) {
+		listEl.innerHTML = '<li class="no-results">No NOTAMs with coordinates found.</li>';
+		return;
+	}
+
+	if (notams.length === 0) {
+		listEl.innerHTML = '<li class="no-results">No NOTAMs match the selected filters.</li>';
+		return;
+	}
+
+	const bounds = [];
+	const markerMap = new Map();
+	const polygonMap = new Map();
+	let posIndex = 1;
+
+	// Draw polygon NOTAMs
+	const polygonGroups = polygonGroupsInCorridor(groupPolygonsByLocation(notams), briefingRoute);
+
+	polygonGroups.forEach((group, centroidKey) => {
+		// Draw in reverse order so first polygon ends up on top
+		for (let i = group.length - 1; i >= 0; i--) {
+			const { notam, centroidLat, centroidLon } = group[i];
+			const navInfo = { index: i, total: group.length, hasMultiple: group.length > 1 };
+
+			const kind = polygonKind(notam);
+			const baseStyle = polygonStyles[kind];
+			drawnLegendKeys.add(kind);
+			const polygon = L.polygon(notam.coordinates.map(c => [c.lat, c.lon]), {
+				...baseStyle,
+				renderer: canvasRenderer
+			}).addTo(map);
+			polygon._area = computePolygonArea(notam.coordinates);
+			polygon._baseStyle = baseStyle;
+
+			polygon.bindPopup(buildPolygonPopupHtml(notam, navInfo), POPUP_OPTIONS);
+			setupPolygonEvents(polygon, navInfo, polygonMap, centroidKey);
+
+			polygons.push(polygon);
+			polygonMap.set(`${centroidKey}_${i}`, polygon);
+			notam.coordinates.forEach(c => bounds.push([c.lat, c.lon]));
+
+			const focus = () => {
+				map.fitBounds(polygon.getBounds(), FIT_BOUNDS_PADDING);
+				polygon.openPopup();
+				document.getElementById('map').scrollIntoView({ behavior: 'smooth', block: 'center' });
+			};
+			if (!notamFocusHandlers.has(notam.id)) {
+				notamFocusHandlers.set(notam.id, focus);
+			}
+
+			const li = document.createElement('li');
+			li.innerHTML = buildPolygonListItemHtml(notam, posIndex);
+			mapEntries.push({ index: posIndex, lat: centroidLat, lon: centroidLon, icaoCodes: notam.icaoCodes, notams: [notam] });
+			if (isObsoleteNotam(notam)) {
+				li.classList.add('notam-obsolete');
+			} else {
+				li.classList.add(`notam-${notamValidityState(notam, briefingTime)}`);
+			}
+			li.querySelector('.notam-header').onclick = focus;
+			listEl.appendChild(li);
+			posIndex++;
+		}
+	});
+
+	// Bring smaller polygons to front so they are clickable over larger ones
+	polygons.sort((a, b) => b._area - a._area);
+	polygons.forEach(p => p.bringToFront());
+
+	const locationGroups = locationGroupsInCorridor(groupNotamsByLocation(notams, showAll), briefingRoute);
+
+	if (locationGroups.size === 0 && polygons.length === 0 && briefingRoute) {
+		listEl.innerHTML = '<li class="no-results">No NOTAMs intersect the route corridor.</li>';
+		return;
+	}
+
+	if (locationGroups.size === 0 && polygons.length === 0) {
+		listEl.innerHTML = '<li class="no-results">No NOTAMs with PSN coordinates found. Enable "Show all NOTAMs" to include qualifier line coordinates.</li>';
+		return;
+	}
+
+	const locationToGroups = buildLocationToGroupsMap(locationGroups);
+
+	locationGroups.forEach((group, key) => {
+		const groupsAtLocation = locationToGroups.get(group.locationKey);
+		const groupIndex = groupsAtLocation.findIndex(g => g.key === key);
+		const totalAtLocation = groupsAtLocation.length;
+		const hasMultipleAtLocation = totalAtLocation > 1;
+		const navInfo = { groupIndex, totalAtLocation, hasMultipleAtLocation, groupsAtLocation };
+
+		// First marker at a location gets higher z-index so it's clickable
+		const zIndexOffset = hasMultipleAtLocation ? (totalAtLocation - groupIndex) * 100 : 0;
+		const state = groupValidityState(group.notams, briefingTime);
+		const kind = markerKind(group, state);
+		const icon = kind === 'obstacle'
+			? obstacleIcon(group.obstacle, group.obsolete ? 'obsolete' : state)
+			: markerIcons[kind];
+		drawnLegendKeys.add(kind);
+		if (group.radius) {
+			drawnLegendKeys.add(group.hasQualifierLine ? 'qualifierRadius' : 'radius');
+		}
+		const marker = L.marker([group.lat, group.lon], { icon, zIndexOffset }).addTo(map);
+
+		marker.bindPopup(buildPopupHtml(group, navInfo), POPUP_OPTIONS);
+		setupMarkerEvents(marker, group, navInfo, markerMap);
+
+		markers.push(marker);
+		bounds.push([group.lat, group.lon]);
+		markerMap.set(key, marker);
+
+		const focus = () => {
+			map.setView([group.lat, group.lon], 12);
+			marker.openPopup();
+			document.getElementById('map').scrollIntoView({ behavior: 'smooth', block: 'center' });
+		};
+		group.notams.forEach(n => {
+			if (!notamFocusHandlers.has(n.id)) {
+				notamFocusHandlers.set(n.id, focus);
+			}
+		});
+
+		const li = document.createElement('li');
+		li.innerHTML = buildListItemHtml(group, posIndex);
+		mapEntries.push({ index: posIndex, lat: group.lat, lon: group.lon, icaoCodes: group.icaoCodes, notams: group.notams });
+		if (group.obsolete) {
+			li.classList.add('notam-obsolete');
+		} else {
+			li.classList.add(`notam-${state}`);
+		}
+		li.querySelector('.notam-header').onclick = focus;
+		listEl.appendChild(li);
+		posIndex++;
+	});
+
+	if (briefingRoute) {
+		briefingRoute.points.forEach(p => bounds.push([p.lat, p.lon]));
+	}
+	updateLegend();
+
+	if (fitToBounds && bounds.length > 0) {
+		map.fitBounds(bounds, FIT_BOUNDS_PADDING);
+	}
+}
+
+// Show a NOTAM on the map when one of its links is clicked in a popup or list entry
+function handleNotamLinkClick(event) {
+	const link = event.target.closest && event.target.closest('.notam-link');
+	if (!link) return;
+	event.preventDefault();
+	const focus = notamFocusHandlers.get(link.dataset.notamId);
+	if (focus) {
+		focus();
+	}
+}
+
+// Pan to the position of a coordinate highlighted in a NOTAM text, and ring it
+function handleSourceCoordinateClick(event) {
+	const mark = event.target.closest && event.target.closest('.source-coordinate');
+	if (!mark) return;
+	const position = [parseFloat(mark.dataset.lat), parseFloat(mark.dataset.lon)];
+	if (sourcePointMarker) {
+		map.removeLayer(sourcePointMarker);
+	}
+	sourcePointMarker = L.circleMarker(position, {
+		radius: 9,
+		color: '#e83e8c',
+		weight: 3,
+		fill: false,
+		renderer: canvasRenderer
+	}).addTo(map);
+	map.setView(position, Math.max(map.getZoom(), SOURCE_POINT_MIN_ZOOM));
+}
+
 // Load NOTAMs from a URL
 async function loadNotamsFromUrl(url) {
 	try {
@@ -1173,6 +3961,7 @@ async function loadNotamsFromUrl(url) {
 		if (response.ok) {
 			const text = await response.text();
 			document.getElementById('notamInput').value = text;
+			notamSource = url;
 			parseAndDisplay();
 		}
 	} catch (error) {
@@ -1187,13 +3976,14 @@ async function loadExampleNotams() {
 		if (response.ok) {
 			const text = await response.text();
 			document.getElementById('notamInput').value = text;
+			notamSource = 'examples';
 		}
 	} catch (error) {
 		console.error('Could not load example file:', error);
 	}
 }
 
-// Handle file upload
+// Handle file upload: flight plans set the briefing route, other files are NOTAMs
 async function handleFileUpload(event) {
 	const file = event.target.files[0];
 	if (!file) return;
@@ -1202,7 +3992,13 @@ async function handleFileUpload(event) {
 
 	try {
 		const text = await file.text();
-		textarea.value = text;
+		const waypoints = parseFlightPlan(text);
+		if (waypoints) {
+			loadFlightPlanRoute(waypoints);
+		} else {
+			textarea.value = text;
+			notamSource = file.name;
+		}
 	} catch (error) {
 		console.error('Error reading file:', error);
 		alert('Error reading file.');
@@ -1215,16 +4011,995 @@ async function handleFileUpload(event) {
 // Clear all content
 function clearAll() {
 	document.getElementById('notamInput').value = '';
+	notamSource = null;
 	document.getElementById('coordinatesList').innerHTML = '<li class="no-results">No NOTAM parsed yet. Enter NOTAMs and click "Display on map".</li>';
+	parsedNotams = [];
+	renderFirFilter(parsedNotams);
+	updateTimelineRange(parsedNotams);
 	clearMarkers();
 	map.setView(DEFAULT_CENTER, DEFAULT_ZOOM);
 }
 
-// Print map to PDF
+// Clip a ring (lon/lat points) to the side of a meridian where keep() holds
+// (Sutherland-Hodgman), adding the crossing points on the meridian unless a
+// vertex already lies on it
+function clipRingAtMeridian(ring, meridian, keep) {
+	const clipped = [];
+	ring.forEach((current, i) => {
+		const previous = ring[(i + ring.length - 1) % ring.length];
+		const crossing = () => {
+			const t = (meridian - previous[0]) / (current[0] - previous[0]);
+			return [meridian, previous[1] + (current[1] - previous[1]) * t];
+		};
+		if (keep(current[0])) {
+			if (!keep(previous[0]) && current[0] !== meridian) clipped.push(crossing());
+			clipped.push(current);
+		} else if (keep(previous[0]) && previous[0] !== meridian) {
+			clipped.push(crossing());
+		}
+	});
+	return clipped;
+}
+
+// Split a polygon with continuous longitudes (see normalizePolygonLongitudes)
+// at the antimeridian into rings within ±180°. Vertices on the antimeridian
+// belong to the side of the rest of the polygon. Rings are closed and
+// counterclockwise as recommended by RFC 7946.
+function splitRingAtAntimeridian(coordinates) {
+	const ring = coordinates.map(c => [c.lon, c.lat]);
+	const lons = ring.map(p => p[0]);
+	const first = Math.floor((Math.min(...lons) + 180) / 360);
+	const last = Math.max(first, Math.ceil((Math.max(...lons) + 180) / 360) - 1);
+	const rings = [];
+	for (let k = first; k <= last; k++) {
+		const west = k * 360 - 180;
+		const east = k * 360 + 180;
+		let part = k === first ? ring : clipRingAtMeridian(ring, west, lon => lon >= west);
+		if (k !== last) part = clipRingAtMeridian(part, east, lon => lon <= east);
+		if (part.length < 3) continue;
+		part = part.map(([lon, lat]) => [lon - k * 360, lat]);
+		const area = part.reduce((sum, p, i) => {
+			const q = part[(i + 1) % part.length];
+			return sum + (q[0] - p[0]) * (q[1] + p[1]);
+		}, 0);
+		if (area > 0) part.reverse();
+		rings.push([...part, part[0]]);
+	}
+	return rings;
+}
+
+// Exported fields of a NOTAM: its identification, Q) line fields, validity,
+// limits, obstacle and text, without the parser details (coordinates,
+// diagnostics, source spans, schedule intervals)
+function notamExportProperties(notam) {
+	const q = notam.qualifier;
+	return {
+		id: notam.id,
+		action: notam.action,
+		replacesId: notam.replacesId,
+		replacedBy: notam.replacedBy,
+		cancelledBy: notam.cancelledBy,
+		icaoCodes: notam.icaoCodes,
+		fir: q ? q.fir.trim() : null,
+		qCode: q ? q.code : null,
+		qCodeDescription: notam.decodedQCode ? notam.decodedQCode.description : null,
+		traffic: q ? q.traffic : null,
+		purpose: q ? q.purpose : null,
+		scope: q ? q.scope : null,
+		startDate: notam.startDate,
+		endDate: notam.endDate,
+		permanent: notam.permanent,
+		estimated: notam.estimated,
+		schedule: notam.schedule ? notam.schedule.text : null,
+		verticalLimits: notam.verticalLimits,
+		obstacle: notam.obstacle,
+		isPolygon: notam.isPolygon,
+		fullContent: notam.fullContent
+	};
+}
+
+// Convert parsed NOTAMs to a GeoJSON FeatureCollection. Areas become
+// Polygons (MultiPolygons when crossing the antimeridian), positions become
+// Points with their radius in NM; qualifierLine flags Q) line fallbacks.
+// NOTAMs without any coordinate, or areas without any ring left, have a null
+// geometry.
+function notamsToGeoJson(notams) {
+	const features = [];
+	notams.forEach(notam => {
+		const properties = notamExportProperties(notam);
+		if (notam.isPolygon) {
+			const rings = splitRingAtAntimeridian(notam.coordinates);
+			let geometry = null;
+			if (rings.length === 1) {
+				geometry = { type: 'Polygon', coordinates: rings };
+			} else if (rings.length > 1) {
+				geometry = { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+			}
+			features.push({
+				type: 'Feature',
+				geometry,
+				properties: { ...properties, qualifierLine: false, radius: null }
+			});
+			return;
+		}
+		if (notam.coordinates.length === 0) {
+			features.push({ type: 'Feature', geometry: null, properties: { ...properties, qualifierLine: false, radius: null } });
+			return;
+		}
+		notam.coordinates.forEach(coord => {
+			features.push({
+				type: 'Feature',
+				geometry: { type: 'Point', coordinates: [coord.lon, coord.lat] },
+				properties: {
+					...properties,
+					qualifierLine: coord.type === 'qualifierLine',
+					coordinateType: coord.type,
+					original: coord.original || null,
+					radius: coord.radius ? radiusToNM(coord.radius, coord.radiusUnit) : null
+				}
+			});
+		});
+	});
+	return { type: 'FeatureCollection', features };
+}
+
+// Name of an exported file
+function exportFileName(extension) {
+	return `notams.${extension}`;
+}
+
+// Save a generated file through a temporary download link
+function downloadFile(content, fileName, type) {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+// Export the parsed NOTAMs as GeoJSON
+function exportGeoJson() {
+	if (parsedNotams.length === 0) {
+		alert('No NOTAM parsed yet.');
+		return;
+	}
+	const content = JSON.stringify(notamsToGeoJson(parsedNotams), null, '\t');
+	downloadFile(content, exportFileName('geojson'), 'application/geo+json');
+}
+
+// Polygon and marker groups drawn on the map: NOTAMs matching the display
+// filters, within the route corridor when one is applied
+function displayedNotamGroups() {
+	const filters = readNotamFilters();
+	const notams = parsedNotams.filter(n => notamMatchesFilters(n, filters));
+	const showAll = document.getElementById('showAllNotams').checked;
+	return {
+		polygonGroups: polygonGroupsInCorridor(groupPolygonsByLocation(notams), briefingRoute),
+		locationGroups: locationGroupsInCorridor(groupNotamsByLocation(notams, showAll), briefingRoute)
+	};
+}
+
+// Escape text for XML content and attributes
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+// KML styles of areas and radius circles, matching the map
+const kmlPolygonStyles = {
+	area: polygonDefaultStyle,
+	areaObsolete: polygonObsoleteStyle,
+	areaUpcoming: polygonUpcomingStyle,
+	areaExpired: polygonExpiredStyle,
+	radius: { color: '#ff7800', weight: 2, fillColor: '#ff7800', fillOpacity: 0.15 },
+	qualifierRadius: { color: '#0078d4', weight: 2, fillColor: '#0078d4', fillOpacity: 0.15 }
+};
+
+// KML styles of position placemarks (Google Earth paddle icons)
+const kmlIconStyles = {
+	position: 'red-circle',
+	qualifierLine: 'blu-circle',
+	derived: 'grn-circle'
+};
+
+// Convert a #rrggbb color and an opacity to a KML aabbggrr color
+function kmlColor(hex, opacity = 1) {
+	const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+	return alpha + hex.slice(5, 7) + hex.slice(3, 5) + hex.slice(1, 3);
+}
+
+// Shared style definitions of a KML document
+function kmlStyleDefinitions() {
+	const polygonStyles = Object.entries(kmlPolygonStyles).map(([id, style]) =>
+		`<Style id="${id}"><LineStyle><color>${kmlColor(style.color)}</color><width>${style.weight}</width></LineStyle>` +
+		`<PolyStyle><color>${kmlColor(style.fillColor, style.fillOpacity)}</color></PolyStyle></Style>`);
+	const iconStyles = Object.entries(kmlIconStyles).map(([id, icon]) =>
+		`<Style id="${id}"><IconStyle><Icon><href>https://maps.google.com/mapfiles/kml/paddle/${icon}.png</href></Icon></IconStyle></Style>`);
+	return [...polygonStyles, ...iconStyles].join('\n');
+}
+
+// Datum of a vertical limit: 'ground' (AGL), 'sea' (AMSL and flight levels)
+// or null for the surface, which fits both
+function verticalLimitDatum(limit) {
+	if (limit.reference === 'AGL') return 'ground';
+	if (limit.reference === 'AMSL' || limit.reference === 'STD') return 'sea';
+	return null;
+}
+
+// Vertical band of a KML extrusion in meters, or null when the upper limit
+// is unknown or unlimited, or when the limits have different datums (e.g.
+// 1000 FT AGL - FL065): such areas are left on the ground. Heights are
+// above the ground for AGL limits, else above mean sea level (flight levels
+// at 100 FT per level).
+function kmlVerticalBand(limits) {
+	if (!limits || !limits.lower || !limits.upper || !Number.isFinite(limits.upper.feet)) return null;
+	if (limits.upper.feet <= limits.lower.feet) return null;
+	const lowerDatum = verticalLimitDatum(limits.lower);
+	const upperDatum = verticalLimitDatum(limits.upper);
+	if (lowerDatum && upperDatum && lowerDatum !== upperDatum) return null;
+	return {
+		lower: Math.round(limits.lower.feet / METERS_TO_FEET),
+		upper: Math.round(limits.upper.feet / METERS_TO_FEET),
+		mode: (lowerDatum || upperDatum) === 'ground' ? 'relativeToGround' : 'absolute'
+	};
+}
+
+// KML polygon from a closed ring of [lon, lat] or [lon, lat, altitude] points
+function kmlPolygon(ring, mode = 'clampToGround') {
+	const coordinates = ring.map(p => p.map(v => +v.toFixed(6)).join(',')).join(' ');
+	return `<Polygon><altitudeMode>${mode}</altitudeMode><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+}
+
+// KML geometry of an area, split at the antimeridian. With a vertical band,
+// the area is drawn as a volume: floor, ceiling and one wall per edge.
+function kmlAreaGeometry(coordinates, limits) {
+	const band = kmlVerticalBand(limits);
+	const polygons = splitRingAtAntimeridian(coordinates).flatMap(ring => {
+		if (!band) return [kmlPolygon(ring)];
+		const at = (p, altitude) => [p[0], p[1], altitude];
+		const walls = ring.slice(1).map((p, i) => kmlPolygon([
+			at(ring[i], band.lower), at(p, band.lower), at(p, band.upper), at(ring[i], band.upper), at(ring[i], band.lower)
+		], band.mode));
+		return [
+			kmlPolygon(ring.map(p => at(p, band.lower)), band.mode),
+			kmlPolygon(ring.map(p => at(p, band.upper)), band.mode),
+			...walls
+		];
+	});
+	return polygons.length === 1 ? polygons[0] : `<MultiGeometry>${polygons.join('')}</MultiGeometry>`;
+}
+
+// Vertical limits shared by all NOTAMs of a group, or null
+function commonVerticalLimits(notams) {
+	const limits = notams[0].verticalLimits;
+	if (!limits) return null;
+	const text = formatVerticalLimits(limits);
+	return notams.every(n => n.verticalLimits && formatVerticalLimits(n.verticalLimits) === text) ? limits : null;
+}
+
+// KML placemark with the NOTAM texts in its description balloon. The
+// description is HTML: the texts are escaped before it is escaped as XML.
+function kmlPlacemark(name, notams, styleId, geometry) {
+	const description = notams.map(n => `<h3>${escapeXml(n.id)}</h3><pre>${escapeXml(n.fullContent)}</pre>`).join('');
+	return `<Placemark><name>${escapeXml(name)}</name><description>${escapeXml(description)}</description>` +
+		`<styleUrl>#${styleId}</styleUrl>${geometry}</Placemark>`;
+}
+
+// Convert the drawn polygon and marker groups to a KML document: areas,
+// position placemarks and radius circles, each in its own folder
+function notamsToKml(polygonGroups, locationGroups) {
+	const areas = [];
+	polygonGroups.forEach(group => {
+		group.forEach(({ notam }) => {
+			areas.push(kmlPlacemark(notam.id, [notam], polygonKind(notam), kmlAreaGeometry(notam.coordinates, notam.verticalLimits)));
+		});
+	});
+
+	const positions = [];
+	const circles = [];
+	locationGroups.forEach(group => {
+		const name = group.notams.map(n => n.id).join(', ');
+		let styleId = group.hasQualifierLine ? 'qualifierLine' : 'position';
+		if (group.hasDerived) {
+			styleId = 'derived';
+		}
+		positions.push(kmlPlacemark(name, group.notams, styleId, `<Point><coordinates>${+group.lon.toFixed(6)},${+group.lat.toFixed(6)}</coordinates></Point>`));
+		if (group.radius) {
+			const circle = densifyCircle(group, radiusToNM(group.radius, group.radiusUnit || 'NM'));
+			normalizePolygonLongitudes(circle);
+			circles.push(kmlPlacemark(name, group.notams, group.hasQualifierLine ? 'qualifierRadius' : 'radius',
+				kmlAreaGeometry(circle, commonVerticalLimits(group.notams))));
+		}
+	});
+
+	const folder = (name, placemarks) => `<Folder><name>${name}</name>\n${placemarks.join('\n')}\n</Folder>`;
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>NOTAMs</name>
+${kmlStyleDefinitions()}
+${folder('Areas', areas)}
+${folder('Positions', positions)}
+${folder('Radius circles', circles)}
+</Document>
+</kml>
+`;
+}
+
+// CRC-32 of a byte array, as used by ZIP files
+function crc32(bytes) {
+	let crc = 0xffffffff;
+	for (const byte of bytes) {
+		crc ^= byte;
+		for (let bit = 0; bit < 8; bit++) {
+			crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+		}
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a ZIP archive of uncompressed (stored) files, given as
+// { name, data } with data as a Uint8Array
+function createZip(files) {
+	const encoder = new TextEncoder();
+	const chunks = [];
+	const directory = [];
+	let offset = 0;
+	const header = (signature, fields) => {
+		const bytes = new Uint8Array(fields.reduce((size, [, length]) => size + length, 4));
+		const view = new DataView(bytes.buffer);
+		view.setUint32(0, signature, true);
+		let at = 4;
+		for (const [value, length] of fields) {
+			if (length === 2) view.setUint16(at, value, true);
+			else view.setUint32(at, value, true);
+			at += length;
+		}
+		return bytes;
+	};
+
+	for (const file of files) {
+		const name = encoder.encode(file.name);
+		const crc = crc32(file.data);
+		// Version, flags, method (stored), time, date (1980-01-01), CRC, sizes, name length
+		const common = [[20, 2], [0, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4], [file.data.length, 4], [file.data.length, 4], [name.length, 2]];
+		chunks.push(header(0x04034b50, [...common, [0, 2]]), name, file.data);
+		directory.push(header(0x02014b50, [[20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]), name);
+		offset += 30 + name.length + file.data.length;
+	}
+	const directorySize = directory.reduce((size, chunk) => size + chunk.length, 0);
+	const end = header(0x06054b50, [[0, 2], [0, 2], [files.length, 2], [files.length, 2], [directorySize, 4], [offset, 4], [0, 2]]);
+
+	const parts = [...chunks, ...directory, end];
+	const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+	let at = 0;
+	for (const part of parts) {
+		zip.set(part, at);
+		at += part.length;
+	}
+	return zip;
+}
+
+// Export the NOTAMs drawn on the map as KML, or KMZ (zipped KML)
+function exportKml(compressed) {
+	if (parsedNotams.length === 0) {
+		alert('No NOTAM parsed yet.');
+		return;
+	}
+	const { polygonGroups, locationGroups } = displayedNotamGroups();
+	const kml = notamsToKml(polygonGroups, locationGroups);
+	if (compressed) {
+		const kmz = createZip([{ name: 'doc.kml', data: new TextEncoder().encode(kml) }]);
+		downloadFile(kmz, exportFileName('kmz'), 'application/vnd.google-earth.kmz');
+	} else {
+		downloadFile(kml, exportFileName('kml'), 'application/vnd.google-earth.kml+xml');
+	}
+}
+
+// OpenAir airspace classes inferred from the Q-code subject: prohibited,
+// restricted and control zones; other areas are danger areas (Q)
+const openAirClasses = [
+	{ pattern: /^QRP/, class: 'P' },
+	{ pattern: /^QR[RTAO]/, class: 'R' },
+	{ pattern: /^QAC/, class: 'CTR' }
+];
+
+// OpenAir class of a NOTAM area
+function openAirClass(notam) {
+	const code = notam.qualifier ? notam.qualifier.code : '';
+	const match = openAirClasses.find(c => c.pattern.test(code));
+	return match ? match.class : 'Q';
+}
+
+// OpenAir altitude of a vertical limit, e.g. "SFC", "FL95", "1400ft MSL", "500ft AGL"
+function formatOpenAirLimit(limit, isUpper) {
+	if (!limit) return isUpper ? 'UNLIM' : 'SFC';
+	if (limit.reference === 'SFC' || limit.reference === 'GND') return limit.reference;
+	if (limit.reference === 'UNL') return 'UNLIM';
+	if (limit.unit === 'FL') return `FL${limit.value}`;
+	return `${Math.round(limit.feet)}ft ${limit.reference === 'AGL' ? 'AGL' : 'MSL'}`;
+}
+
+// OpenAir coordinate, e.g. "48:45:06 N 002:04:11 E"
+function formatOpenAirCoordinate(lat, lon) {
+	const format = (value, degDigits, hemispheres) => {
+		const { deg, min, sec } = splitDegrees(value);
+		const pad = (n, digits) => n.toString().padStart(digits, '0');
+		return `${pad(deg, degDigits)}:${pad(min, 2)}:${pad(sec, 2)} ${value < 0 ? hemispheres[1] : hemispheres[0]}`;
+	};
+	return `${format(lat, 2, 'NS')} ${format(((lon + 540) % 360) - 180, 3, 'EW')}`;
+}
+
+// Centre and radius (NM) of a circle area, whose points are all interpolated
+// around the centre they were parsed from, or null for other areas
+function circleAreaOf(notam) {
+	if (!notam.isPolygon || notam.coordinates.some(c => c.type !== 'arc')) return null;
+	const centre = findCoordinates(notam.coordinates[0].original)[0];
+	if (!centre) return null;
+	return { lat: centre.lat, lon: centre.lon, radius: distanceNM(centre, notam.coordinates[0]) };
+}
+
+// Convert parsed NOTAMs to OpenAir: areas as DP polygons, circle areas and
+// positions with a radius as DC circles. Replaced or cancelled NOTAMs and
+// Q) line fallbacks are left out.
+function notamsToOpenAir(notams) {
+	const blocks = [];
+	notams.forEach(notam => {
+		if (isObsoleteNotam(notam)) return;
+		const limits = notam.verticalLimits || {};
+		const header = [
+			`AC ${openAirClass(notam)}`,
+			`AN ${notam.id}`,
+			`AL ${formatOpenAirLimit(limits.lower, false)}`,
+			`AH ${formatOpenAirLimit(limits.upper, true)}`
+		];
+		const circle = (lat, lon, radius) => [
+			...header,
+			`V X=${formatOpenAirCoordinate(lat, lon)}`,
+			`DC ${+radius.toFixed(2)}`
+		];
+
+		if (notam.isPolygon) {
+			const area = circleAreaOf(notam);
+			blocks.push(area
+				? circle(area.lat, area.lon, area.radius)
+				: [...header, ...notam.coordinates.map(c => `DP ${formatOpenAirCoordinate(c.lat, c.lon)}`)]);
+			return;
+		}
+		notam.coordinates
+			.filter(c => c.radius && c.type !== 'qualifierLine')
+			.forEach(c => blocks.push(circle(c.lat, c.lon, radiusToNM(c.radius, c.radiusUnit))));
+	});
+	return [
+		'* NOTAM areas exported by NOTAM Viewer',
+		...blocks.map(lines => ['', ...lines].join('\n'))
+	].join('\n') + '\n';
+}
+
+// Export the areas and radius circles of the parsed NOTAMs as OpenAir
+function exportOpenAir() {
+	if (parsedNotams.length === 0) {
+		alert('No NOTAM parsed yet.');
+		return;
+	}
+	downloadFile(notamsToOpenAir(parsedNotams), exportFileName('openair.txt'), 'text/plain');
+}
+
+// Measure of an obstacle in meters
+function obstacleMeasureMeters(measure) {
+	return measure.unit === 'M' ? measure.value : Math.round(measure.value / METERS_TO_FEET * 10) / 10;
+}
+
+// Convert position marker groups (see groupNotamsByLocation) to GPX
+// waypoints named after their NOTAMs, with the E) texts as description.
+// Obstacles have their top elevation as elevation; their height above
+// ground only goes into the comment. Groups only made of Q) line fallbacks
+// are left out.
+function notamsToGpx(locationGroups, generated = new Date()) {
+	const waypoints = [];
+	locationGroups.forEach(group => {
+		if (group.notams.every(n => n.type === 'qualifierLine')) return;
+		const description = group.notams.map(n => {
+			const text = parseSections(n.fullContent).E || n.fullContent;
+			return group.notams.length > 1 ? `${n.id}: ${text}` : text;
+		}).join('\n\n');
+
+		const lines = [`<wpt lat="${+group.lat.toFixed(6)}" lon="${+group.lon.toFixed(6)}">`];
+		const { obstacle } = group;
+		if (obstacle && obstacle.elevation) {
+			lines.push(`\t<ele>${obstacleMeasureMeters(obstacle.elevation)}</ele>`);
+		}
+		lines.push(`\t<name>${escapeXml(group.notams.map(n => n.id).join(', '))}</name>`);
+		if (obstacle) {
+			const parts = [obstacleTypeLabels[obstacle.type], ...obstacleDetails(obstacle)];
+			lines.push(`\t<cmt>${escapeXml(parts.join(', '))}</cmt>`);
+		}
+		lines.push(`\t<desc>${escapeXml(description)}</desc>`);
+		lines.push(`\t<type>${obstacle ? 'Obstacle' : 'NOTAM'}</type>`);
+		lines.push('</wpt>');
+		waypoints.push(lines.join('\n'));
+	});
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="NOTAM Viewer" xmlns="http://www.topografix.com/GPX/1/1">
+<metadata><name>NOTAMs</name><time>${generated.toISOString()}</time></metadata>
+${waypoints.join('\n')}
+</gpx>
+`;
+}
+
+// Export the position markers drawn on the map as GPX waypoints
+function exportGpx() {
+	if (parsedNotams.length === 0) {
+		alert('No NOTAM parsed yet.');
+		return;
+	}
+	const { locationGroups } = displayedNotamGroups();
+	downloadFile(notamsToGpx(locationGroups), exportFileName('gpx'), 'application/gpx+xml');
+}
+
+// Columns of the CSV export
+const csvColumns = [
+	'ID', 'Action', 'Locations', 'FIR', 'Q-code', 'Traffic', 'Purpose', 'Scope',
+	'Lower', 'Upper', 'Start', 'End', 'Permanent', 'Estimated',
+	'Coordinate type', 'Latitude', 'Longitude', 'DMS', 'Radius (NM)', 'Vertices', 'E) text'
+];
+
+// Quote a CSV field when it contains a separator, a quote or a line break
+// (RFC 4180)
+function csvField(value) {
+	const text = value == null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format a date for spreadsheets (e.g. "2026-02-09 07:00", in UTC)
+function formatCsvDate(date) {
+	return date ? date.toISOString().slice(0, 16).replace('T', ' ') : '';
+}
+
+// Build a CSV table of NOTAMs: one row per position or area, and one row
+// without coordinates for NOTAMs having none. Areas are located at the
+// mean of their vertices.
+function notamsToCsv(notams) {
+	const rows = [csvColumns];
+	notams.forEach(notam => {
+		const q = notam.qualifier;
+		const limits = notam.verticalLimits;
+		const common = [
+			notam.id,
+			notam.action || '',
+			notam.icaoCodes.join(' '),
+			q ? q.fir.trim() : '',
+			q ? q.code : '',
+			q ? q.traffic : '',
+			q ? q.purpose : '',
+			q ? q.scope : '',
+			limits && limits.lower ? formatVerticalLimit(limits.lower) : '',
+			limits && limits.upper ? formatVerticalLimit(limits.upper) : '',
+			formatCsvDate(notam.startDate),
+			formatCsvDate(notam.endDate),
+			notam.permanent ? 'yes' : 'no',
+			notam.estimated ? 'yes' : 'no'
+		];
+		const text = parseSections(notam.fullContent).E || notam.fullContent;
+		const row = (type, lat, lon, radius, vertices) => rows.push([
+			...common,
+			type,
+			lat == null ? '' : lat.toFixed(6),
+			lon == null ? '' : lon.toFixed(6),
+			lat == null ? '' : formatDMS(lat, lon),
+			radius == null ? '' : Number(radius.toFixed(3)),
+			vertices == null ? '' : vertices,
+			text
+		]);
+
+		if (notam.isPolygon) {
+			// Longitudes of areas crossing the antimeridian run past 180°
+			const n = notam.coordinates.length;
+			const lat = notam.coordinates.reduce((sum, c) => sum + c.lat, 0) / n;
+			const lon = wrapLongitude(notam.coordinates.reduce((sum, c) => sum + c.lon, 0) / n);
+			row('area', lat, lon, null, notam.coordinates.filter(c => c.type !== 'arc').length);
+		} else if (notam.coordinates.length === 0) {
+			row('', null, null, null, null);
+		} else {
+			notam.coordinates.forEach(c => row(c.type, c.lat, c.lon, c.radius ? radiusToNM(c.radius, c.radiusUnit) : null, null));
+		}
+	});
+	return rows.map(fields => fields.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Export all parsed NOTAMs as CSV, with a byte order mark so that
+// spreadsheets read it as UTF-8
+function exportCsv() {
+	if (parsedNotams.length === 0) {
+		alert('No NOTAM parsed yet.');
+		return;
+	}
+	downloadFile(`\ufeff${notamsToCsv(parsedNotams)}`, exportFileName('csv'), 'text/csv;charset=utf-8');
+}
+
+// Legend entries in display order, with the marker colour or the area/line style
+const legendItems = [
+	{ key: 'position', label: 'Position (PSN)', shape: 'marker', color: '#cb2b3e' },
+	{ key: 'derived', label: 'Radial/distance position', shape: 'marker', color: '#2aad27' },
+	{ key: 'qualifierLine', label: 'Q) line position', shape: 'marker', color: '#2a81cb' },
+	{ key: 'obstacle', label: 'Obstacle', shape: 'obstacle', color: '#d0021b' },
+	{ key: 'upcoming', label: 'Not yet valid', shape: 'marker', color: '#9c2bcb' },
+	{ key: 'expired', label: 'Expired', shape: 'marker', color: '#3d3d3d' },
+	{ key: 'obsolete', label: 'Replaced/cancelled', shape: 'marker', color: '#7b7b7b' },
+	{ key: 'area', label: 'Area', shape: 'area', style: polygonDefaultStyle },
+	{ key: 'areaUpcoming', label: 'Area not yet valid', shape: 'area', style: polygonUpcomingStyle },
+	{ key: 'areaExpired', label: 'Expired area', shape: 'area', style: polygonExpiredStyle },
+	{ key: 'areaObsolete', label: 'Replaced/cancelled area', shape: 'area', style: polygonObsoleteStyle },
+	{ key: 'radius', label: 'Radius (on popup)', shape: 'circle', color: '#ff7800' },
+	{ key: 'qualifierRadius', label: 'Q) line radius (on popup)', shape: 'circle', color: '#0078d4' },
+	{ key: 'route', label: 'Route', shape: 'line', style: routeStyle },
+	{ key: 'corridor', label: 'Route corridor', shape: 'area', style: corridorStyle }
+];
+
+// Mix a "#rrggbb" colour with white, as drawn with the given opacity
+function mixWithWhite(color, opacity) {
+	const mixed = [1, 3, 5].map(i => {
+		const channel = parseInt(color.slice(i, i + 2), 16);
+		return Math.round(255 - (255 - channel) * opacity).toString(16).padStart(2, '0');
+	});
+	return `#${mixed.join('')}`;
+}
+
+// Legend entries of the given keys, in display order
+function legendEntries(keys) {
+	return legendItems.filter(item => keys.has(item.key));
+}
+
+// Build the legend HTML for the given keys
+function buildLegendHtml(keys) {
+	return legendEntries(keys).map(item => {
+		let swatch;
+		if (item.shape === 'obstacle') {
+			swatch = `<span class="legend-swatch legend-obstacle" style="color: ${item.color}">${obstacleSymbols.other}</span>`;
+		} else if (item.shape === 'area') {
+			const { color, fillColor, fillOpacity, dashArray } = item.style;
+			swatch = `<span class="legend-swatch legend-area" style="border-color: ${color}; border-style: ${dashArray ? 'dashed' : 'solid'}; background: ${mixWithWhite(fillColor, fillOpacity)}"></span>`;
+		} else if (item.shape === 'line') {
+			swatch = `<span class="legend-swatch legend-line" style="border-color: ${item.style.color}"></span>`;
+		} else {
+			swatch = `<span class="legend-swatch legend-${item.shape}" style="border-color: ${item.color}; background: ${item.shape === 'marker' ? item.color : mixWithWhite(item.color, 0.15)}"></span>`;
+		}
+		return `<div class="legend-item">${swatch}${item.label}</div>`;
+	}).join('');
+}
+
+// Keys of the legend entries for what is currently drawn on the map
+function currentLegendKeys() {
+	const keys = new Set(drawnLegendKeys);
+	if (routeLayers.length > 0) {
+		keys.add('route');
+		keys.add('corridor');
+	}
+	return keys;
+}
+
+// Round a scale bar value down to 1, 2, 3 or 5 times a power of ten
+function roundScaleValue(value) {
+	const pow10 = Math.pow(10, Math.floor(Math.log10(value)));
+	const digit = value / pow10;
+	const rounded = digit >= 5 ? 5 : digit >= 3 ? 3 : digit >= 2 ? 2 : 1;
+	return Number((pow10 * rounded).toPrecision(1));
+}
+
+// Metric and nautical scale bars fitting in maxLength (pixels or mm) at the
+// given meters per length unit: [{ label, length }]
+function scaleBars(metersPerUnit, maxLength) {
+	const maxMeters = metersPerUnit * maxLength;
+	const metric = maxMeters < 1000
+		? { value: roundScaleValue(maxMeters), unit: 'm', meters: 1 }
+		: { value: roundScaleValue(maxMeters / 1000), unit: 'km', meters: 1000 };
+	const nautical = { value: roundScaleValue(maxMeters / NM_TO_METERS), unit: 'NM', meters: NM_TO_METERS };
+	return [metric, nautical].map(({ value, unit, meters }) => ({
+		label: `${value} ${unit}`,
+		length: value * meters / metersPerUnit
+	}));
+}
+
+// Meters per screen pixel across the middle of the map
+function mapMetersPerPixel() {
+	const y = map.getSize().y / 2;
+	return map.distance(map.containerPointToLatLng([0, y]), map.containerPointToLatLng([100, y])) / 100;
+}
+
+// Map legend listing the kinds of markers, areas and lines drawn
+const LegendControl = L.Control.extend({
+	options: { position: 'bottomright' },
+	onAdd: function() {
+		this._legend = document.createElement('div');
+		this._legend.className = 'map-legend';
+		this._legend.style.display = 'none';
+		return this._legend;
+	},
+	update: function(keys) {
+		this._legend.innerHTML = buildLegendHtml(keys);
+		this._legend.style.display = keys.size > 0 ? '' : 'none';
+	}
+});
+
+// North arrow with metric and nautical scale bars
+const ScaleControl = L.Control.extend({
+	options: { position: 'bottomleft', maxWidth: 120 },
+	onAdd: function(map) {
+		this._scale = document.createElement('div');
+		this._scale.className = 'map-scale';
+		map.on('move', this._update, this);
+		map.whenReady(this._update, this);
+		return this._scale;
+	},
+	onRemove: function(map) {
+		map.off('move', this._update, this);
+	},
+	_update: function() {
+		const bars = scaleBars(mapMetersPerPixel(), this.options.maxWidth);
+		this._scale.innerHTML = `
+			<div class="map-north-arrow" title="North">&#9650;<span>N</span></div>
+			<div>${bars.map(bar => `<div class="map-scale-bar" style="width: ${Math.round(bar.length)}px">${bar.label}</div>`).join('')}</div>
+		`;
+	}
+});
+
+const mapLegend = new LegendControl().addTo(map);
+new ScaleControl().addTo(map);
+
+// Show the entries of what is currently drawn in the map legend
+function updateLegend() {
+	mapLegend.update(currentLegendKeys());
+}
+
+// Margin of the briefing pack pages (mm)
+const PDF_MARGIN = 10;
+
+// Describe the display filters in effect for the briefing pack header
+function describeFilters(filters, showAll, route) {
+	const parts = [];
+	const { min, max } = filters.altitude;
+	if (min !== null || max !== null) {
+		const lower = min === null ? 'SFC' : `${min} ft`;
+		const upper = max === null || !isFinite(max) ? 'UNL' : `${max} ft`;
+		parts.push(`Altitude ${lower} to ${upper}`);
+	}
+	if (filters.time.validOnly) parts.push('Valid at briefing time only');
+	[
+		['Subject', filters.categories],
+		['FIR', filters.firs],
+		['Traffic', filters.traffic],
+		['Purpose', filters.purpose],
+		['Scope', filters.scope]
+	].forEach(([label, values]) => {
+		if (values.size > 0) parts.push(`${label}: ${[...values].join(', ')}`);
+	});
+	if (route) parts.push(`Route ${route.points.map(p => p.name).join(' ')} (${route.halfWidth} NM each side)`);
+	if (showAll) parts.push('NOTAMs without position shown');
+	return parts;
+}
+
+// Group the numbered map entries by aerodrome (A) section) for the briefing
+// pack. Each NOTAM is listed once with all the numbers it has on the map.
+function briefingPackSections(entries) {
+	const sections = new Map();
+	const items = new Map();
+	entries.forEach(entry => {
+		entry.notams.forEach(notam => {
+			const item = items.get(notam.id);
+			if (item) {
+				if (!item.indexes.includes(entry.index)) item.indexes.push(entry.index);
+				return;
+			}
+			const aerodrome = entry.icaoCodes.join(' ') || 'Unknown location';
+			const newItem = { notam, indexes: [entry.index] };
+			items.set(notam.id, newItem);
+			if (!sections.has(aerodrome)) sections.set(aerodrome, []);
+			sections.get(aerodrome).push(newItem);
+		});
+	});
+	return [...sections.entries()]
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([aerodrome, sectionItems]) => ({ aerodrome, items: sectionItems }));
+}
+
+// Show the list numbers (#N) on the map while printing. Entries at the same
+// position share a label. Returns the added layers.
+function addMapNumberLabels() {
+	const labels = new Map();
+	mapEntries.forEach(entry => {
+		const key = locationKey(entry.lat, entry.lon);
+		if (!labels.has(key)) labels.set(key, { lat: entry.lat, lon: entry.lon, indexes: [] });
+		labels.get(key).indexes.push(entry.index);
+	});
+	return [...labels.values()].map(label => L.marker([label.lat, label.lon], {
+		icon: L.divIcon({
+			className: 'map-number-label',
+			html: label.indexes.sort((a, b) => a - b).map(i => `#${i}`).join(' '),
+			iconSize: null,
+			iconAnchor: [-8, 36]
+		}),
+		interactive: false,
+		keyboard: false
+	}).addTo(map));
+}
+
+// Crop a canvas around its center to the given width/height ratio
+function cropCanvasToRatio(canvas, ratio) {
+	let cropWidth = canvas.width;
+	let cropHeight = canvas.height;
+	if (cropWidth / cropHeight > ratio) {
+		cropWidth = cropHeight * ratio;
+	} else {
+		cropHeight = cropWidth / ratio;
+	}
+	const cropped = document.createElement('canvas');
+	cropped.width = cropWidth;
+	cropped.height = cropHeight;
+	cropped.getContext('2d').drawImage(canvas, (canvas.width - cropWidth) / 2, (canvas.height - cropHeight) / 2,
+		cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+	return cropped;
+}
+
+// Write the briefing pack header: title, briefing time, filters and counts.
+// Returns the vertical position below it.
+function writePdfHeader(pdf, filters, statistics) {
+	const width = pdf.internal.pageSize.getWidth() - 2 * PDF_MARGIN;
+	const now = new Date();
+	let y = PDF_MARGIN;
+
+	pdf.setFont('helvetica', 'bold');
+	pdf.setFontSize(14);
+	pdf.text('NOTAM briefing', PDF_MARGIN, y + 5);
+	y += 8;
+
+	pdf.setFontSize(9);
+	pdf.text(`Source: ${notamSource || 'pasted text'}`, PDF_MARGIN, y + 3);
+	y += 4.5;
+
+	pdf.setFont('helvetica', 'normal');
+	pdf.setFontSize(8);
+	const lines = [
+		`Briefing time: ${formatUtcDateTime(briefingTime)} ${briefingTime.getUTCFullYear()} UTC` +
+			` - Generated: ${formatUtcDateTime(now)} ${now.getUTCFullYear()} UTC`,
+		`Filters: ${filters.length > 0 ? filters.join('; ') : 'none'}`,
+		statistics
+	].filter(Boolean);
+	pdf.splitTextToSize(lines.join('\n'), width).forEach(line => {
+		pdf.text(line, PDF_MARGIN, y + 3);
+		y += 3.5;
+	});
+	return y + 2;
+}
+
+// Write the full NOTAM texts grouped by aerodrome, starting on a new page
+function writePdfNotamTexts(pdf, sections) {
+	const pageHeight = pdf.internal.pageSize.getHeight();
+	const width = pdf.internal.pageSize.getWidth() - 2 * PDF_MARGIN;
+	let y = PDF_MARGIN;
+	const ensureSpace = height => {
+		if (y + height > pageHeight - PDF_MARGIN) {
+			pdf.addPage();
+			y = PDF_MARGIN;
+		}
+	};
+
+	pdf.addPage();
+	sections.forEach(section => {
+		ensureSpace(16);
+		pdf.setFont('helvetica', 'bold');
+		pdf.setFontSize(12);
+		pdf.text(section.aerodrome, PDF_MARGIN, y + 5);
+		y += 8;
+		section.items.forEach(({ notam, indexes }) => {
+			ensureSpace(10);
+			pdf.setFont('helvetica', 'bold');
+			pdf.setFontSize(9);
+			pdf.text(`${indexes.map(i => `#${i}`).join(', ')}  ${notam.id}`, PDF_MARGIN, y + 4);
+			y += 5.5;
+			pdf.setFont('courier', 'normal');
+			pdf.setFontSize(8);
+			pdf.splitTextToSize(notam.fullContent, width).forEach(line => {
+				ensureSpace(3.5);
+				pdf.text(line, PDF_MARGIN, y + 3);
+				y += 3.5;
+			});
+			y += 3;
+		});
+		y += 2;
+	});
+}
+
+// Draw the north arrow, scale bars and legend over the map image of the PDF
+// (box in mm), as the map controls are left out of the capture
+function writePdfMapDecorations(pdf, box, metersPerMm, keys) {
+	const { x, y, width, height } = box;
+	pdf.setLineDashPattern([], 0);
+	pdf.setLineWidth(0.2);
+	pdf.setDrawColor('#333333');
+
+	// North arrow in the top left corner
+	pdf.setFillColor('#ffffff');
+	pdf.roundedRect(x + 2, y + 2, 8, 11, 1, 1, 'FD');
+	pdf.setFillColor('#333333');
+	pdf.triangle(x + 6, y + 3.5, x + 3.8, y + 8.5, x + 8.2, y + 8.5, 'F');
+	pdf.setFont('helvetica', 'bold');
+	pdf.setFontSize(7);
+	pdf.text('N', x + 6, y + 11.8, { align: 'center' });
+
+	// Scale bars in the bottom left corner
+	const bars = scaleBars(metersPerMm, 30);
+	const scaleWidth = Math.max(...bars.map(bar => bar.length)) + 4;
+	pdf.setFillColor('#ffffff');
+	pdf.rect(x + 2, y + height - 14, scaleWidth, 12, 'F');
+	pdf.setFont('helvetica', 'normal');
+	pdf.setFontSize(6.5);
+	bars.forEach((bar, i) => {
+		const barY = y + height - 12 + i * 5.5;
+		pdf.setLineWidth(0.4);
+		pdf.line(x + 4, barY + 3, x + 4 + bar.length, barY + 3);
+		pdf.line(x + 4, barY + 1.8, x + 4, barY + 3);
+		pdf.line(x + 4 + bar.length, barY + 1.8, x + 4 + bar.length, barY + 3);
+		pdf.text(bar.label, x + 5, barY + 2.2);
+	});
+
+	// Legend in the bottom right corner
+	const entries = legendEntries(keys);
+	if (entries.length === 0) return;
+	const legendWidth = 38;
+	const legendX = x + width - legendWidth - 2;
+	let legendY = y + height - entries.length * 4 - 4;
+	pdf.setLineWidth(0.2);
+	pdf.setFillColor('#ffffff');
+	pdf.rect(legendX, legendY, legendWidth, entries.length * 4 + 2, 'FD');
+	legendY += 1;
+	entries.forEach(item => {
+		const swatchX = legendX + 2;
+		const midY = legendY + 2;
+		if (item.shape === 'area') {
+			const { color, fillColor, fillOpacity, dashArray } = item.style;
+			pdf.setLineDashPattern(dashArray ? [0.8, 0.5] : [], 0);
+			pdf.setDrawColor(color);
+			pdf.setFillColor(mixWithWhite(fillColor, fillOpacity));
+			pdf.rect(swatchX, midY - 1.3, 5, 2.6, 'FD');
+			pdf.setLineDashPattern([], 0);
+		} else if (item.shape === 'line') {
+			pdf.setDrawColor(item.style.color);
+			pdf.setLineWidth(0.8);
+			pdf.line(swatchX, midY, swatchX + 5, midY);
+			pdf.setLineWidth(0.2);
+		} else if (item.shape === 'circle') {
+			pdf.setDrawColor(item.color);
+			pdf.setFillColor(mixWithWhite(item.color, 0.15));
+			pdf.circle(swatchX + 2.5, midY, 1.4, 'FD');
+		} else if (item.shape === 'obstacle') {
+			pdf.setFillColor(item.color);
+			pdf.triangle(swatchX + 2.5, midY - 1.5, swatchX + 1.1, midY + 1.5, swatchX + 3.9, midY + 1.5, 'F');
+		} else {
+			pdf.setFillColor(item.color);
+			pdf.circle(swatchX + 2.5, midY, 1.2, 'F');
+		}
+		pdf.setTextColor('#000000');
+		pdf.text(item.label, swatchX + 7, midY + 0.9);
+		legendY += 4;
+	});
+	pdf.setDrawColor('#333333');
+}
+
+// Print a briefing pack to PDF: header and numbered map on the first page,
+// then the full NOTAM texts grouped by aerodrome
 async function printMapToPdf() {
 	const mapEl = document.getElementById('map');
 	const btn = document.getElementById('printBtn');
 	const originalText = btn.textContent;
+	const format = document.getElementById('printFormat').value;
+	const orientation = document.getElementById('printOrientation').value;
 
 	btn.textContent = 'Generating...';
 	btn.disabled = true;
@@ -1232,6 +5007,7 @@ async function printMapToPdf() {
 	// Hide map controls before capture
 	const controls = mapEl.querySelectorAll('.leaflet-control-zoom, .leaflet-control-layers');
 	controls.forEach(el => el.style.display = 'none');
+	const labels = addMapNumberLabels();
 
 	// Force map to recalculate and wait for tiles/SVG to settle
 	map.invalidateSize();
@@ -1249,58 +5025,35 @@ async function printMapToPdf() {
 			}
 		});
 
-		// A4 landscape dimensions in mm and aspect ratio
-		const a4Width = 297;
-		const a4Height = 210;
-		const a4Ratio = a4Width / a4Height;
-
-		const imgWidth = canvas.width;
-		const imgHeight = canvas.height;
-		const imgRatio = imgWidth / imgHeight;
-
-		// Calculate crop dimensions to match A4 ratio
-		let cropWidth, cropHeight, cropX, cropY;
-
-		if (imgRatio > a4Ratio) {
-			// Image is wider than A4 ratio - crop width
-			cropHeight = imgHeight;
-			cropWidth = imgHeight * a4Ratio;
-			cropX = (imgWidth - cropWidth) / 2;
-			cropY = 0;
-		} else {
-			// Image is taller than A4 ratio - crop height
-			cropWidth = imgWidth;
-			cropHeight = imgWidth / a4Ratio;
-			cropX = 0;
-			cropY = (imgHeight - cropHeight) / 2;
-		}
-
-		// Create a new canvas with cropped content
-		const croppedCanvas = document.createElement('canvas');
-		croppedCanvas.width = cropWidth;
-		croppedCanvas.height = cropHeight;
-		const ctx = croppedCanvas.getContext('2d');
-		ctx.drawImage(canvas, cropX, cropY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
-
-		// Create PDF
 		const { jsPDF } = window.jspdf;
-		const pdf = new jsPDF({
-			orientation: 'landscape',
-			unit: 'mm',
-			format: 'a4'
-		});
-
-		// Add the cropped image to PDF
-		const imgData = croppedCanvas.toDataURL('image/jpeg', 0.95);
-		pdf.addImage(imgData, 'JPEG', 0, 0, a4Width, a4Height);
-
-		// Save the PDF
-		pdf.save('notam-map.pdf');
+		const pdf = new jsPDF({ orientation, unit: 'mm', format });
+		const pageWidth = pdf.internal.pageSize.getWidth();
+		const pageHeight = pdf.internal.pageSize.getHeight();
+
+		const statistics = [...document.querySelectorAll('#statistics span')]
+			.map(el => el.textContent.trim())
+			.join(' - ');
+		const filters = describeFilters(readNotamFilters(), document.getElementById('showAllNotams').checked, briefingRoute);
+		const top = writePdfHeader(pdf, filters, statistics);
+
+		// Fit the map in the rest of the first page
+		const imageWidth = pageWidth - 2 * PDF_MARGIN;
+		const imageHeight = pageHeight - top - PDF_MARGIN;
+		const cropped = cropCanvasToRatio(canvas, imageWidth / imageHeight);
+		pdf.addImage(cropped.toDataURL('image/jpeg', 0.95), 'JPEG', PDF_MARGIN, top, imageWidth, imageHeight);
+		const metersPerMm = mapMetersPerPixel() * (mapEl.clientWidth / canvas.width) * (cropped.width / imageWidth);
+		writePdfMapDecorations(pdf, { x: PDF_MARGIN, y: top, width: imageWidth, height: imageHeight }, metersPerMm, currentLegendKeys());
+
+		const sections = briefingPackSections(mapEntries);
+		if (sections.length > 0) writePdfNotamTexts(pdf, sections);
+
+		pdf.save('notam-briefing.pdf');
 	} catch (error) {
 		console.error('Error generating PDF:', error);
 		alert('Error generating PDF. Some map tiles may not support cross-origin access.');
 	} finally {
 		// Restore map controls
+		labels.forEach(label => map.removeLayer(label));
 		controls.forEach(el => el.style.display = '');
 		btn.textContent = originalText;
 		btn.disabled = false;
@@ -1345,8 +5098,48 @@ document.addEventListener('DOMContentLoaded', () => {
 	document.getElementById('parseBtn').addEventListener('click', parseAndDisplay);
 	document.getElementById('printBtn').addEventListener('click', printMapToPdf);
 	document.getElementById('fullscreenBtn').addEventListener('click', toggleFullscreen);
+	document.getElementById('exportGeoJsonBtn').addEventListener('click', exportGeoJson);
+	document.getElementById('exportKmlBtn').addEventListener('click', () => exportKml(false));
+	document.getElementById('exportKmzBtn').addEventListener('click', () => exportKml(true));
+	document.getElementById('exportOpenAirBtn').addEventListener('click', exportOpenAir);
+	document.getElementById('exportGpxBtn').addEventListener('click', exportGpx);
+	document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+	document.getElementById('exportMenu').addEventListener('click', event => {
+		if (event.target.closest('button')) {
+			event.currentTarget.open = false;
+		}
+	});
 	document.getElementById('fileInput').addEventListener('change', handleFileUpload);
 	document.getElementById('clearBtn').addEventListener('click', clearAll);
+	document.getElementById('showDiagnostics').addEventListener('change', event => {
+		document.getElementById('coordinatesList').classList.toggle('show-diagnostics', event.target.checked);
+	});
+	// Edited input no longer comes from the loaded file
+	document.getElementById('notamInput').addEventListener('input', () => {
+		notamSource = null;
+	});
+	document.addEventListener('click', handleNotamLinkClick);
+	document.addEventListener('click', handleSourceCoordinateClick);
+	document.getElementById('altitudeMin').addEventListener('input', refreshDisplay);
+	document.getElementById('altitudeMax').addEventListener('input', refreshDisplay);
+	document.getElementById('filterPanel').addEventListener('change', refreshDisplay);
+	document.getElementById('timelineSlider').addEventListener('input', updateTimelineLabel);
+	document.getElementById('timelineSlider').addEventListener('change', refreshDisplay);
+	document.getElementById('timelineValidOnly').addEventListener('change', refreshDisplay);
+	document.getElementById('routeBtn').addEventListener('click', applyRoute);
+	document.getElementById('routeClearBtn').addEventListener('click', clearRoute);
+	document.getElementById('routeInput').addEventListener('keydown', event => {
+		if (event.key === 'Enter') applyRoute();
+	});
+	document.getElementById('routeWidth').addEventListener('change', () => {
+		if (briefingRoute) applyRoute();
+	});
+	document.getElementById('timelineNowBtn').addEventListener('click', () => {
+		resetTimelineToNow();
+		refreshDisplay();
+	});
+	updateTimelineRange([]);
+	resetTimelineToNow();
 
 	const urlParam = new URLSearchParams(window.location.search).get('file');
 	if (urlParam) {
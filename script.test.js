@@ -2,6 +2,7 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { readFileSync } from 'node:fs';
 import { createContext, Script } from 'node:vm';
+import { DOMParser } from '@xmldom/xmldom';
 
 // Load script.js in a vm context with mocked browser globals
 const mockLayer = {
@@ -19,6 +20,9 @@ const context = createContext({
 			extend() { return function() { return { ...mockLayer }; }; }
 		},
 		control: { layers() { return { ...mockLayer }; } },
+		Control: {
+			extend() { return function() { return { ...mockLayer }; }; }
+		},
 		icon() { return {}; },
 		canvas() { return {}; },
 		Browser: { touch: false },
@@ -30,6 +34,8 @@ const context = createContext({
 		},
 	},
 	console,
+	TextEncoder,
+	DOMParser,
 	setTimeout(fn) { fn(); },
 	fetch() { return Promise.resolve({ ok: false }); },
 	window: {
@@ -39,12 +45,27 @@ const context = createContext({
 	},
 });
 
-const code = readFileSync(new URL('./script.js', import.meta.url), 'utf-8');
-new Script(code).runInContext(context);
+for (const file of ['./navdata.js', './script.js']) {
+	const code = readFileSync(new URL(file, import.meta.url), 'utf-8');
+	new Script(code).runInContext(context);
+}
 
 const { parseNotams, parseDMSCoordinate, parseQualifierLine,
 	parseNotamDates, parseSections, computePolygonArea,
-	extractRadiusFromText, radiusToNM } = context;
+	extractRadiusFromText, radiusToNM, parseSchedule,
+	nextActivationWindow, computeSunTimes, parseVerticalLimit,
+	parseVerticalLimits, formatVerticalLimits, parseAltitudeInput,
+	notamMatchesAltitudeBand, decodeQCode, qCodeCategory,
+	notamMatchesFilters, notamValidityState, groupValidityState,
+	distanceNM, bearingDegrees, findReferencePoint, parseObstacle,
+	obstacleHeightFeet, destinationPoint, parseRoute, routeDistanceNM,
+	groupIntersectsCorridor, polygonIntersectsCorridor,
+	groupNotamsByLocation, locationGroupsInCorridor, parseFlightPlan,
+	flightPlanRouteText, simplifyRoute, notamsToGeoJson, notamsToKml, kmlVerticalBand,
+	groupPolygonsByLocation, crc32, createZip, notamsToOpenAir,
+	openAirClass, notamsToGpx, briefingPackSections, describeFilters,
+	markerKind, polygonKind, buildLegendHtml, scaleBars, mixWithWhite,
+	notamsToCsv, loadNotams, buildNotamDiagnosticsHtml, highlightNotamText, buildNotamScheduleHtml } = context;
 
 function findNotam(notams, id) {
 	return notams.find(n => n.id === id);
@@ -98,6 +119,231 @@ describe('parseQualifierLine', () => {
 	});
 });
 
+// Unit tests for vertical limits
+
+describe('parseVerticalLimit', () => {
+	it('should parse surface and unlimited', () => {
+		assert.equal(parseVerticalLimit('SFC').feet, 0);
+		assert.equal(parseVerticalLimit('GND').reference, 'GND');
+		assert.equal(parseVerticalLimit('UNL').feet, Infinity);
+	});
+
+	it('should parse feet with reference', () => {
+		const l = parseVerticalLimit('1400FT AMSL');
+		assert.equal(l.value, 1400);
+		assert.equal(l.unit, 'FT');
+		assert.equal(l.reference, 'AMSL');
+		assert.equal(l.feet, 1400);
+		assert.equal(parseVerticalLimit('500FT AGL').reference, 'AGL');
+		assert.equal(parseVerticalLimit('3500FT.').reference, 'AMSL');
+	});
+
+	it('should convert meters to feet', () => {
+		const l = parseVerticalLimit('120M AGL');
+		assert.equal(l.unit, 'M');
+		assert.equal(l.reference, 'AGL');
+		assert.equal(l.feet, 394);
+	});
+
+	it('should parse flight levels', () => {
+		const l = parseVerticalLimit('FL195');
+		assert.equal(l.unit, 'FL');
+		assert.equal(l.value, 195);
+		assert.equal(l.feet, 19500);
+	});
+
+	it('should return null for free text', () => {
+		assert.equal(parseVerticalLimit('SEE REMARKS'), null);
+	});
+});
+
+describe('parseVerticalLimits', () => {
+	const qualifier = parseQualifierLine('LFFF / QRTCA / IV / BO / W / 000/195 / 4940N00135W007');
+
+	it('should prefer F)/G) over the Q) line', () => {
+		const v = parseVerticalLimits({ F: 'SFC', G: '1400FT AMSL' }, qualifier);
+		assert.equal(v.source, 'FG');
+		assert.equal(formatVerticalLimits(v), 'SFC - 1400 FT AMSL');
+	});
+
+	it('should fall back to Q) line flight levels', () => {
+		const v = parseVerticalLimits({}, qualifier);
+		assert.equal(v.source, 'Q');
+		assert.equal(formatVerticalLimits(v), 'SFC - FL195');
+	});
+
+	it('should map Q) 999 upper to unlimited', () => {
+		const q = parseQualifierLine('LPPC / QFAHW / IV / BO / A / 000/999 / 3846N00908W005');
+		assert.equal(formatVerticalLimits(parseVerticalLimits({}, q)), 'SFC - UNL');
+	});
+
+	it('should attach vertical limits to parsed NOTAMs (LFFA-W2942/24)', () => {
+		const n = findNotam(parseNotams(positionsText), 'LFFA-W2942/24');
+		assert.equal(formatVerticalLimits(n.verticalLimits), 'SFC - 1400 FT AMSL');
+	});
+});
+
+describe('altitude band filter', () => {
+	it('should parse feet and flight level inputs', () => {
+		assert.equal(parseAltitudeInput(''), null);
+		assert.equal(parseAltitudeInput('2500'), 2500);
+		assert.equal(parseAltitudeInput('2500 ft'), 2500);
+		assert.equal(parseAltitudeInput('FL65'), 6500);
+		assert.equal(parseAltitudeInput('fl065'), 6500);
+		assert.equal(parseAltitudeInput('SFC'), 0);
+		assert.equal(parseAltitudeInput('abc'), null);
+	});
+
+	it('should keep NOTAMs overlapping the band', () => {
+		const notam = { verticalLimits: parseVerticalLimits({ F: '1500FT AMSL', G: 'FL95' }, null) };
+		assert.equal(notamMatchesAltitudeBand(notam, { min: 2500, max: 2500 }), true);
+		assert.equal(notamMatchesAltitudeBand(notam, { min: null, max: 1000 }), false);
+		assert.equal(notamMatchesAltitudeBand(notam, { min: 10000, max: null }), false);
+		assert.equal(notamMatchesAltitudeBand(notam, { min: null, max: null }), true);
+	});
+
+	it('should hide high-level areas from a low VFR band', () => {
+		const notam = { verticalLimits: parseVerticalLimits({ F: 'FL245', G: 'UNL' }, null) };
+		assert.equal(notamMatchesAltitudeBand(notam, { min: 0, max: 2500 }), false);
+	});
+
+	it('should keep NOTAMs without vertical limits', () => {
+		assert.equal(notamMatchesAltitudeBand({ verticalLimits: null }, { min: 0, max: 2500 }), true);
+	});
+});
+
+// Unit tests for Q-code decoder
+
+describe('decodeQCode', () => {
+	it('should decode subject and condition', () => {
+		const d = decodeQCode('QOBCE');
+		assert.equal(d.subject, 'Obstacle');
+		assert.equal(d.condition, 'erected');
+		assert.equal(d.description, 'Obstacle – erected');
+		assert.equal(decodeQCode('QMRLC').description, 'Runway – closed');
+		assert.equal(decodeQCode('QFAHW').description, 'Aerodrome – work in progress');
+	});
+
+	it('should decode plain language and checklist codes', () => {
+		assert.equal(decodeQCode('QMRXX').description, 'Runway – see text');
+		assert.equal(decodeQCode('QKKKK').description, 'Checklist');
+	});
+
+	it('should keep unknown letters as-is', () => {
+		const d = decodeQCode('QZZLC');
+		assert.equal(d.subject, null);
+		assert.equal(d.description, 'ZZ – closed');
+	});
+
+	it('should return null for malformed codes', () => {
+		assert.equal(decodeQCode('OBCE'), null);
+		assert.equal(decodeQCode(''), null);
+	});
+
+	it('should expose the decoded Q-code on parsed NOTAMs (LFFA-P3613/25)', () => {
+		const n = findNotam(parseNotams(positionsText), 'LFFA-P3613/25');
+		assert.equal(n.qualifier.code, 'QOBCE');
+		assert.equal(n.decodedQCode.description, 'Obstacle – erected');
+	});
+});
+
+// Unit tests for qualifier filters
+
+describe('qualifier filters', () => {
+	const noFilters = () => ({
+		time: { at: new Date(), validOnly: false },
+		altitude: { min: null, max: null },
+		categories: new Set(), firs: new Set(), traffic: new Set(),
+		purpose: new Set(), scope: new Set()
+	});
+
+	it('should group Q-codes by subject', () => {
+		assert.equal(qCodeCategory('QMRLC'), 'aerodrome');
+		assert.equal(qCodeCategory('QNVAS'), 'navaids');
+		assert.equal(qCodeCategory('QRTCA'), 'restrictions');
+		assert.equal(qCodeCategory('QWULW'), 'warnings');
+		assert.equal(qCodeCategory('QOBCE'), 'obstacles');
+		assert.equal(qCodeCategory('QOLAS'), 'obstacles');
+		assert.equal(qCodeCategory('QOAXX'), 'other');
+		assert.equal(qCodeCategory('QKKKK'), 'other');
+		assert.equal(qCodeCategory(''), 'other');
+	});
+
+	it('should keep everything when no filter is selected', () => {
+		const notams = parseNotams(positionsText);
+		assert.equal(notams.filter(n => notamMatchesFilters(n, noFilters())).length, notams.length);
+	});
+
+	it('should filter by category, FIR, traffic, purpose and scope', () => {
+		const n = findNotam(parseNotams(positionsText), 'LFFA-C4783/25');
+		const match = (key, values) => notamMatchesFilters(n, { ...noFilters(), [key]: new Set(values) });
+		assert.equal(match('categories', ['aerodrome']), true);
+		assert.equal(match('categories', ['obstacles']), false);
+		assert.equal(match('firs', ['LFMM', 'LFFF']), true);
+		assert.equal(match('firs', ['LFFF']), false);
+		assert.equal(match('traffic', ['V']), true);
+		assert.equal(match('traffic', ['I']), false);
+		assert.equal(match('purpose', ['M']), true);
+		assert.equal(match('purpose', ['N']), false);
+		assert.equal(match('scope', ['A', 'W']), true);
+		assert.equal(match('scope', ['E']), false);
+	});
+
+	it('should match any letter of combined qualifier fields', () => {
+		const n = findNotam(parseNotams(positionsText), 'EHAA-A0456/26');
+		assert.equal(notamMatchesFilters(n, { ...noFilters(), purpose: new Set(['N']) }), true);
+		assert.equal(notamMatchesFilters(n, { ...noFilters(), traffic: new Set(['V']) }), true);
+	});
+
+	it('should hide NOTAMs without Q) line when a qualifier filter is set', () => {
+		assert.equal(notamMatchesFilters({ qualifier: null, verticalLimits: null }, { ...noFilters(), scope: new Set(['A']) }), false);
+		assert.equal(notamMatchesFilters({ qualifier: null, verticalLimits: null }, noFilters()), true);
+	});
+});
+
+// Unit tests for validity timeline
+
+describe('validity timeline', () => {
+	const notam = { startDate: new Date(Date.UTC(2026, 1, 24, 0, 0)), endDate: new Date(Date.UTC(2026, 2, 11, 23, 59)) };
+
+	it('should give the validity state at an instant', () => {
+		assert.equal(notamValidityState(notam, new Date(Date.UTC(2026, 1, 23, 12, 0))), 'upcoming');
+		assert.equal(notamValidityState(notam, new Date(Date.UTC(2026, 1, 24, 0, 0))), 'active');
+		assert.equal(notamValidityState(notam, new Date(Date.UTC(2026, 2, 11, 23, 59))), 'active');
+		assert.equal(notamValidityState(notam, new Date(Date.UTC(2026, 2, 12, 0, 0))), 'expired');
+	});
+
+	it('should keep permanent NOTAMs active after their start', () => {
+		const n = findNotam(parseNotams(positionsText), 'LFFA-P3613/25');
+		assert.equal(n.permanent, true);
+		assert.equal(notamValidityState(n, new Date(Date.UTC(2040, 0, 1))), 'active');
+		assert.equal(notamValidityState(n, new Date(Date.UTC(2025, 9, 1))), 'upcoming');
+	});
+
+	it('should prefer active then upcoming states for groups', () => {
+		const expired = { startDate: new Date(Date.UTC(2026, 0, 1)), endDate: new Date(Date.UTC(2026, 0, 2)) };
+		const upcoming = { startDate: new Date(Date.UTC(2026, 5, 1)), endDate: null };
+		const at = new Date(Date.UTC(2026, 2, 1));
+		assert.equal(groupValidityState([expired, notam, upcoming], at), 'active');
+		assert.equal(groupValidityState([expired, upcoming], at), 'upcoming');
+		assert.equal(groupValidityState([expired], at), 'expired');
+	});
+
+	it('should only keep NOTAMs valid at the selected time', () => {
+		const filters = {
+			time: { at: new Date(Date.UTC(2026, 1, 10, 12, 0)), validOnly: true },
+			altitude: { min: null, max: null },
+			categories: new Set(), firs: new Set(), traffic: new Set(),
+			purpose: new Set(), scope: new Set()
+		};
+		const notams = parseNotams(positionsText);
+		const ids = new Set(notams.filter(n => notamMatchesFilters(n, filters)).map(n => n.id));
+		assert.ok(ids.has('LEAN-R0225/26'));
+		assert.ok(!ids.has('LEAN-R0226/26'));
+		assert.ok(!ids.has('LEAN-R0341/26'));
+	});
+});
+
 // Unit tests for NOTAM date parser
 
 describe('parseNotamDates', () => {
@@ -138,6 +384,147 @@ describe('parseNotamDates', () => {
 		assert.equal(d.end.getTime(), Date.UTC(2026, 5, 30, 23, 59));
 		assert.equal(d.estimated, true);
 	});
+
+	it('should parse raw ICAO B/C dates with EST suffix', () => {
+		const content = 'A) LFPO B) 2502091200 C) 2502102359EST\nE) TEST';
+		const d = parseNotamDates(parseSections(content), content);
+		assert.equal(d.start.getTime(), Date.UTC(2025, 1, 9, 12, 0));
+		assert.equal(d.end.getTime(), Date.UTC(2025, 1, 10, 23, 59));
+		assert.equal(d.estimated, true);
+	});
+});
+
+// Unit tests for D) schedule parser
+
+describe('parseSchedule', () => {
+	const paris = { lat: 48.85, lon: 2.35 };
+
+	function intervalsToStrings(intervals) {
+		return Array.from(intervals, i => `${i.start.toISOString().substring(0, 16)}/${i.end.toISOString().substring(0, 16)}`);
+	}
+
+	it('should expand weekday ranges', () => {
+		const r = parseSchedule('MON-FRI 0800-1700', new Date(Date.UTC(2026, 1, 6)), new Date(Date.UTC(2026, 1, 10, 23, 59)), paris);
+		assert.deepEqual(intervalsToStrings(r), [
+			'2026-02-06T08:00/2026-02-06T17:00',
+			'2026-02-09T08:00/2026-02-09T17:00',
+			'2026-02-10T08:00/2026-02-10T17:00',
+		]);
+	});
+
+	it('should clip windows to the validity period', () => {
+		const r = parseSchedule('0700-1600', new Date(Date.UTC(2026, 1, 6, 10, 0)), new Date(Date.UTC(2026, 1, 7, 12, 0)), paris);
+		assert.deepEqual(intervalsToStrings(r), [
+			'2026-02-06T10:00/2026-02-06T16:00',
+			'2026-02-07T07:00/2026-02-07T12:00',
+		]);
+	});
+
+	it('should handle windows crossing midnight', () => {
+		const r = parseSchedule('DAILY 2200-0400', new Date(Date.UTC(2026, 1, 1, 22, 0)), new Date(Date.UTC(2026, 1, 3, 4, 0)), paris);
+		assert.deepEqual(intervalsToStrings(r), [
+			'2026-02-01T22:00/2026-02-02T04:00',
+			'2026-02-02T22:00/2026-02-03T04:00',
+		]);
+	});
+
+	it('should compute SR-SS at the NOTAM position', () => {
+		const r = parseSchedule('DAILY SR-SS', new Date(Date.UTC(2026, 5, 21)), new Date(Date.UTC(2026, 5, 21, 23, 59)), paris);
+		assert.equal(r.length, 1);
+		// Paris, 21 June: sunrise ~03:47 UTC, sunset ~19:58 UTC
+		assert.ok(Math.abs(r[0].start.getUTCHours() + r[0].start.getUTCMinutes() / 60 - 3.78) < 0.05, 'sunrise');
+		assert.ok(Math.abs(r[0].end.getUTCHours() + r[0].end.getUTCMinutes() / 60 - 19.96) < 0.05, 'sunset');
+	});
+
+	it('should apply SR/SS offsets', () => {
+		const start = new Date(Date.UTC(2026, 1, 2));
+		const end = new Date(Date.UTC(2026, 1, 2, 23, 59));
+		const plain = parseSchedule('SR-SS', start, end, paris)[0];
+		const offset = parseSchedule('SR MINUS30-SS PLUS30', start, end, paris)[0];
+		assert.equal(plain.start.getTime() - offset.start.getTime(), 30 * 60000);
+		assert.equal(offset.end.getTime() - plain.end.getTime(), 30 * 60000);
+	});
+
+	it('should handle polar day and night', () => {
+		const sun = computeSunTimes(Date.UTC(2026, 5, 21), 78, 15);
+		assert.equal(sun.alwaysUp, true);
+		const r = parseSchedule('SR-SS', new Date(Date.UTC(2026, 11, 21)), new Date(Date.UTC(2026, 11, 21, 23, 59)), { lat: 78, lon: 15 });
+		assert.equal(r.length, 0);
+	});
+
+	it('should parse day lists without month and month wrap-around', () => {
+		const r = parseSchedule('28 02 0800-1200', new Date(Date.UTC(2026, 0, 28)), new Date(Date.UTC(2026, 1, 28)), paris);
+		assert.deepEqual(intervalsToStrings(r), [
+			'2026-01-28T08:00/2026-01-28T12:00',
+			'2026-02-02T08:00/2026-02-02T12:00',
+		]);
+	});
+
+	it('should parse month date ranges', () => {
+		const r = parseSchedule('JAN 30-FEB 02 H24', new Date(Date.UTC(2026, 0, 1)), new Date(Date.UTC(2026, 2, 1)), paris);
+		assert.deepEqual(intervalsToStrings(r), ['2026-01-30T00:00/2026-02-03T00:00']);
+	});
+
+	it('should parse continuous date and weekday spans', () => {
+		const dates = parseSchedule('FEB 01 0500-07 0500, 09 0500-10 2359', new Date(Date.UTC(2026, 1, 1)), new Date(Date.UTC(2026, 1, 28)), paris);
+		assert.deepEqual(intervalsToStrings(dates), [
+			'2026-02-01T05:00/2026-02-07T05:00',
+			'2026-02-09T05:00/2026-02-10T23:59',
+		]);
+		const weekdays = parseSchedule('MON 0700 - FRI 2359', new Date(Date.UTC(2026, 1, 1)), new Date(Date.UTC(2026, 1, 8)), paris);
+		assert.deepEqual(intervalsToStrings(weekdays), ['2026-02-02T07:00/2026-02-06T23:59']);
+	});
+
+	it('should apply exclusions', () => {
+		const r = parseSchedule('DAILY 0800-1000 EXC SAT SUN', new Date(Date.UTC(2026, 1, 6)), new Date(Date.UTC(2026, 1, 9, 23, 59)), paris);
+		assert.deepEqual(intervalsToStrings(r), [
+			'2026-02-06T08:00/2026-02-06T10:00',
+			'2026-02-09T08:00/2026-02-09T10:00',
+		]);
+	});
+
+	it('should return null for free text', () => {
+		assert.equal(parseSchedule('ACTIVE ON REQUEST', new Date(Date.UTC(2026, 1, 1)), null, paris), null);
+	});
+
+	it('should find the next activation window', () => {
+		const r = parseSchedule('0800-1700', new Date(Date.UTC(2026, 1, 6)), new Date(Date.UTC(2026, 1, 8)), paris);
+		const current = nextActivationWindow(r, new Date(Date.UTC(2026, 1, 6, 12, 0)));
+		assert.equal(current.start.getTime(), Date.UTC(2026, 1, 6, 8, 0));
+		const next = nextActivationWindow(r, new Date(Date.UTC(2026, 1, 6, 18, 0)));
+		assert.equal(next.start.getTime(), Date.UTC(2026, 1, 7, 8, 0));
+		assert.equal(nextActivationWindow(r, new Date(Date.UTC(2026, 1, 9))), null);
+	});
+
+	it('should attach the schedule to parsed NOTAMs (LFFA-W2942/24)', () => {
+		const n = findNotam(parseNotams(positionsText), 'LFFA-W2942/24');
+		assert.equal(n.schedule.text, 'SR-SS');
+		assert.equal(n.schedule.start, n.startDate);
+	});
+
+	it('should only expand the days of the given period', () => {
+		const r = parseSchedule('MON-FRI 0800-1700', new Date(Date.UTC(2026, 1, 6)), null, paris,
+			{ from: new Date(Date.UTC(2026, 5, 1, 12, 0)), to: new Date(Date.UTC(2026, 5, 3)) });
+		assert.deepEqual(intervalsToStrings(r), [
+			'2026-06-01T12:00/2026-06-01T17:00',
+			'2026-06-02T08:00/2026-06-02T17:00',
+		]);
+	});
+
+	it('should show the schedule text and next activation window', () => {
+		const schedule = (text, end) => ({ schedule: { text, start: new Date(Date.UTC(2026, 1, 6)), end, position: paris } });
+		const at = new Date(Date.UTC(2026, 1, 6, 12, 0));
+		assert.equal(buildNotamScheduleHtml(schedule('0800-1700', new Date(Date.UTC(2026, 1, 8))), at),
+			'<div class="notam-schedule">Schedule: 0800-1700 - <span class="schedule-active">Active</span> until 06 FEB 17:00 UTC</div>');
+		assert.equal(buildNotamScheduleHtml(schedule('MAR 10 0800-1700', null), at),
+			'<div class="notam-schedule">Schedule: MAR 10 0800-1700 - No activation in the next 31 days</div>');
+		assert.equal(buildNotamScheduleHtml(schedule('H24', null), at),
+			'<div class="notam-schedule">Schedule: H24 - <span class="schedule-active">Active</span> for more than 31 days</div>');
+		assert.equal(buildNotamScheduleHtml(schedule('ACTIVE ON REQUEST', null), at),
+			'<div class="notam-schedule">Schedule: ACTIVE ON REQUEST (not decoded)</div>');
+		assert.equal(buildNotamScheduleHtml(schedule('<B>OPS HR</B> & SS', null), at),
+			'<div class="notam-schedule">Schedule: &lt;B&gt;OPS HR&lt;/B&gt; &amp; SS (not decoded)</div>');
+	});
 });
 
 // Unit tests for PSN coordinate parser
@@ -178,6 +565,26 @@ describe('parseDMSCoordinate', () => {
 		assertNear(c.lat, 48.6564, 'lat');
 		assertNear(c.lon, 3.9800, 'lon');
 	});
+
+	it('should parse other notations', () => {
+		for (const str of ['N484512 E0020705', '48°45\'12"N 002°07\'05"E', '48-45-12N 002-07-05E',
+			'N48°45.2\' E002°07.08\'', '48.7533N 002.1181E', 'N48.7533 E002.1181']) {
+			const c = parseDMSCoordinate(str);
+			assert.ok(c, str);
+			assertNear(c.lat, 48.7533, `${str} lat`);
+			assertNear(c.lon, 2.1181, `${str} lon`);
+		}
+	});
+
+	it('should parse degrees and decimal minutes', () => {
+		const c = parseDMSCoordinate('S33 56.7 W070 47.2');
+		assertNear(c.lat, -33.945, 'lat');
+		assertNear(c.lon, -70.7867, 'lon');
+	});
+
+	it('should reject out of range minutes', () => {
+		assert.equal(parseDMSCoordinate('48-75-12N 002-07-05E'), null);
+	});
 });
 
 describe('computePolygonArea', () => {
@@ -238,6 +645,15 @@ describe('extractRadiusFromText', () => {
 		assert.equal(r.radiusUnit, 'M');
 	});
 
+	it('should extract RADIUS OF before and WITH RADIUS after coordinates', () => {
+		const before = 'A CIRCLE RADIUS OF 0.6NM CENTRED ON 482406N 0170711E';
+		assert.equal(extractRadiusFromText(before, 36, 52).radius, 0.6);
+		const after = 'CIRCLE CENTERED ON 451328N 0265705E WITH RADIUS 5KM';
+		const r = extractRadiusFromText(after, 19, 35);
+		assert.equal(r.radius, 5);
+		assert.equal(r.radiusUnit, 'KM');
+	});
+
 	it('should return null when no radius present', () => {
 		const text = 'PSN 484024N 0030441E RDL 031/5.4NM ARP LFAI';
 		const r = extractRadiusFromText(text, 4, 20);
@@ -259,13 +675,386 @@ describe('radiusToNM', () => {
 	});
 });
 
+// Unit tests for replacement and cancellation chains
+
+describe('parseNotams - replacements', () => {
+	const text = [
+		'LFFA-A0100/26 NOTAMN',
+		'Q) LFFF / QMRLC / IV / NBO / A / 000/999 / 4843N00223E005',
+		'A) LFPO B) 2026-02-01 08:00 C) 2026-02-28 18:00',
+		'E) RWY 06/24 CLSD',
+		'',
+		'LFFA-A0150/26 NOTAMR A0100/26',
+		'Q) LFFF / QMRLC / IV / NBO / A / 000/999 / 4843N00223E005',
+		'A) LFPO B) 2026-02-10 08:00 C) 2026-03-15 18:00',
+		'E) RWY 06/24 CLSD',
+		'',
+		'EGGN-A0200/26 NOTAM',
+		'Q) EGTT / QOBCE / IV / M / A / 000/005 / 5128N00027W001',
+		'A) EGLL B) 2026-02-01 08:00 C) 2026-02-28 18:00',
+		'E) CRANE ERECTED PSN 512800N 0002700W',
+		'',
+		'EGGN-A0210/26 NOTAMC EGGN-A0200/26',
+		'Q) EGTT / QOBXX / IV / M / A / 000/005 / 5128N00027W001',
+		'A) EGLL B) 2026-02-05 08:00',
+		'E) CRANE REMOVED',
+	].join('\n');
+	const notams = parseNotams(text);
+
+	it('should keep the action type', () => {
+		assert.equal(findNotam(notams, 'LFFA-A0100/26').action, 'NOTAMN');
+		assert.equal(findNotam(notams, 'LFFA-A0150/26').action, 'NOTAMR');
+		assert.equal(findNotam(notams, 'EGGN-A0200/26').action, 'NOTAMN');
+		assert.equal(findNotam(notams, 'EGGN-A0210/26').action, 'NOTAMC');
+	});
+
+	it('should keep the referenced NOTAM ID out of the content', () => {
+		const n = findNotam(notams, 'LFFA-A0150/26');
+		assert.equal(n.replacesId, 'A0100/26');
+		assert.ok(n.fullContent.startsWith('Q)'));
+	});
+
+	it('should mark replaced NOTAM within the same prefix', () => {
+		const n = findNotam(notams, 'LFFA-A0100/26');
+		assert.equal(n.replacedBy, 'LFFA-A0150/26');
+		assert.equal(n.cancelledBy, null);
+		assert.equal(findNotam(notams, 'LFFA-A0150/26').replacedBy, null);
+	});
+
+	it('should mark cancelled NOTAM', () => {
+		const n = findNotam(notams, 'EGGN-A0200/26');
+		assert.equal(n.cancelledBy, 'EGGN-A0210/26');
+		assert.equal(n.replacedBy, null);
+	});
+});
+
+// Unit tests for input adapters
+
+describe('parseNotams - input formats', () => {
+	it('should split raw ICAO messages in brackets', () => {
+		const notams = parseNotams([
+			'GG LFFAYNYX',
+			'091200 LFFAYNYX',
+			'(A1234/25 NOTAMN',
+			'Q) LFFF/QOBCE/IV/M/A/000/999/4843N00223E005',
+			'A) LFPO B) 2502091200 C) 2502102359EST',
+			'E) CRANE (MOBILE) PSN 484300N 0022300E',
+			'F) SFC G) 500FT AMSL)',
+			'(A1235/25 NOTAMR A1234/25',
+			'Q) LFFF/QOBCE/IV/M/A/000/999/4843N00223E005',
+			'A) LFPO B) 2502101200 C) PERM',
+			'E) CRANE PSN 484300N 0022300E)',
+			'NNNN',
+		].join('\n'));
+		assert.deepEqual(Array.from(notams, n => n.id), ['A1234/25', 'A1235/25']);
+		const [first, second] = notams;
+		assert.equal(first.startDate.getTime(), Date.UTC(2025, 1, 9, 12, 0));
+		assert.equal(first.estimated, true);
+		assert.equal(first.qualifier.code, 'QOBCE');
+		assert.equal(first.verticalLimits.upper.value, 500);
+		assert.ok(first.fullContent.startsWith('Q) LFFF'));
+		assert.ok(first.fullContent.endsWith('G) 500FT AMSL'));
+		assert.equal(first.coordinates[0].type, 'psn');
+		assert.equal(first.replacedBy, 'A1235/25');
+		assert.equal(second.permanent, true);
+		assert.ok(second.fullContent.endsWith('E) CRANE PSN 484300N 0022300E'));
+	});
+
+	it('should split FAA domestic NOTAMs', () => {
+		const notams = parseNotams([
+			'!JFK 02/123 JFK RWY 04L/22R CLSD 2602091200-2602102359',
+			'!JFK 02/124 JFK TWY B CLSD',
+			'BTN TWY A AND TWY C 2602091200-2602282359EST',
+			'!LAX 02/050 LAX OBST CRANE (ASN 2026-AWP-123-OE) 335618N1182431W',
+			'(2NM E LAX) 250FT (180FT AGL) FLAGGED AND LGTD 2602010000-PERM',
+		].join('\n'));
+		assert.deepEqual(Array.from(notams, n => n.id), ['JFK 02/123', 'JFK 02/124', 'LAX 02/050']);
+		const [first, second, third] = notams;
+		assert.deepEqual(Array.from(first.icaoCodes), ['KJFK']);
+		assert.equal(first.startDate.getTime(), Date.UTC(2026, 1, 9, 12, 0));
+		assert.equal(first.endDate.getTime(), Date.UTC(2026, 1, 10, 23, 59));
+		assert.equal(first.qualifier, null);
+		assert.equal(parseSections(first.fullContent).E, 'RWY 04L/22R CLSD');
+		// Aerodrome reference point in place of the Q) line position
+		assert.equal(first.coordinates[0].type, 'qualifierLine');
+		assert.equal(first.coordinates[0].original, 'KJFK');
+		assert.equal(parseSections(second.fullContent).E, 'TWY B CLSD\nBTN TWY A AND TWY C');
+		assert.equal(second.estimated, true);
+		assert.equal(third.permanent, true);
+		assert.equal(third.coordinates[0].type, 'psn');
+		assert.ok(Math.abs(third.coordinates[0].lat - 33.938333) < 1e-5);
+	});
+});
+
+describe('FAA NOTAM API import', () => {
+	const apiText = readFileSync(new URL('./testdata/faa-notam-api.json', import.meta.url), 'utf-8');
+	const geoJsonText = readFileSync(new URL('./testdata/faa-notam-api.geojson', import.meta.url), 'utf-8');
+	const notams = loadNotams(apiText);
+
+	it('should map the NOTAM fields of a response page', () => {
+		assert.deepEqual(Array.from(notams, n => n.id), ['A0412/26', 'LAX 02/050', 'FDC 6/4321', 'A0431/26']);
+		const n = findNotam(notams, 'A0412/26');
+		assert.equal(n.action, 'NOTAMN');
+		assert.deepEqual(Array.from(n.icaoCodes), ['KJFK']);
+		assert.equal(n.qualifier.code, 'QMRLC');
+		assert.equal(n.qualifier.radius, 5);
+		assert.equal(n.startDate.getTime(), Date.UTC(2026, 1, 9, 12, 0));
+		assert.equal(n.endDate.getTime(), Date.UTC(2026, 1, 10, 23, 59));
+		assert.equal(parseSections(n.fullContent).E, 'RWY 04L/22R CLSD');
+	});
+
+	it('should track replacements from the ICAO translation', () => {
+		const n = findNotam(notams, 'A0431/26');
+		assert.equal(n.action, 'NOTAMR');
+		assert.equal(n.replacesId, 'A0412/26');
+		assert.equal(n.endDate.getTime(), Date.UTC(2026, 1, 12, 23, 59));
+		assert.equal(findNotam(notams, 'A0412/26').replacedBy, 'A0431/26');
+		// Built from the NOTAM fields without ICAO translation
+		assert.equal(findNotam(notams, 'FDC 6/4321').replacesId, null);
+	});
+
+	it('should use the supplied geometry', () => {
+		const point = findNotam(notams, 'A0412/26');
+		assert.equal(point.isPolygon, false);
+		assert.equal(point.coordinates[0].type, 'psn');
+		assert.equal(point.coordinates[0].lat, 40.6398);
+		assert.equal(point.coordinates[0].lon, -73.7789);
+		const area = findNotam(notams, 'FDC 6/4321');
+		assert.equal(area.isPolygon, true);
+		assert.equal(area.coordinates.length, 4);
+		assert.equal(formatVerticalLimits(area.verticalLimits), 'SFC - 3000 FT AMSL');
+	});
+
+	it('should find positions in the E) text without geometry', () => {
+		const n = findNotam(notams, 'LAX 02/050');
+		assert.equal(n.qualifier, null);
+		assert.equal(n.estimated, true);
+		assert.equal(n.coordinates.length, 1);
+		assert.ok(Math.abs(n.coordinates[0].lat - 33.938333) < 1e-5);
+	});
+
+	it('should read GeoJSON FeatureCollections', () => {
+		const areas = loadNotams(geoJsonText);
+		assert.equal(areas.length, 2);
+		assert.ok(areas.every(n => n.id === 'A0520/26' && n.isPolygon && n.action === 'NOTAMR'));
+		assert.equal(areas[0].permanent, true);
+		assert.equal(areas[0].schedule.text, '1600-2200');
+		assert.deepEqual(Array.from(areas, n => n.coordinates.length), [4, 3]);
+	});
+
+	it('should parse other input as NOTAM text', () => {
+		assert.equal(loadNotams('{"type": "FeatureCollection", "features": []}').length, 0);
+		assert.deepEqual(Array.from(loadNotams(positionsText), n => n.id), Array.from(parseNotams(positionsText), n => n.id));
+	});
+});
+
+describe('AIXM Digital NOTAM import', () => {
+	const xml = readFileSync(new URL('./testdata/digital-notam.xml', import.meta.url), 'utf-8');
+	const notams = loadNotams(xml);
+
+	it('should read the NOTAM of each event', () => {
+		assert.deepEqual(Array.from(notams, n => n.id), ['A1234/26', 'B0567/26', 'C0089/26']);
+		const n = findNotam(notams, 'B0567/26');
+		assert.equal(n.action, 'NOTAMR');
+		assert.equal(n.replacesId, 'B0498/26');
+		assert.deepEqual(Array.from(n.icaoCodes), ['LFPN']);
+		assert.equal(n.endDate.getTime(), Date.UTC(2026, 1, 12, 16, 0));
+		assert.equal(n.estimated, true);
+	});
+
+	it('should use the text NOTAM translation as content', () => {
+		const n = findNotam(notams, 'A1234/26');
+		assert.equal(n.qualifier.code, 'QRTCA');
+		assert.equal(n.schedule.text, '0700-1700');
+		assert.ok(n.fullContent.startsWith('Q) LFFF/QRTCA'));
+		assert.ok(!n.fullContent.endsWith(')'));
+		assert.equal(n.startDate.getTime(), Date.UTC(2026, 1, 9, 7, 0));
+	});
+
+	it('should build areas from GML rings, arcs and circles', () => {
+		const area = findNotam(notams, 'A1234/26');
+		assert.equal(area.isPolygon, true);
+		assert.equal(area.coordinates[0].lat, 48.75);
+		assert.equal(area.coordinates.filter(c => c.type === 'psn').length, 4);
+		const centre = { lat: 48.666667, lon: 2.5 };
+		const arc = area.coordinates.filter(c => c.type === 'arc');
+		assert.ok(arc.every(c => Math.abs(distanceNM(centre, c) - 5) < 0.01));
+		// Clockwise from 135 to 225 degrees, through the south
+		assert.ok(Math.min(...arc.map(c => c.lat)) < 48.584);
+
+		const arcFrom = (start, end) => loadNotams(xml
+			.replace('<gml:startAngle uom="deg">135<', `<gml:startAngle uom="deg">${start}<`)
+			.replace('<gml:endAngle uom="deg">225<', `<gml:endAngle uom="deg">${end}<`)
+		)[0].coordinates.filter(c => c.type === 'arc').map(c => bearingDegrees(centre, c));
+		// Clockwise from 350 to 370 degrees, across north
+		const northArc = arcFrom(350, 370);
+		assert.ok(northArc.length > 0 && northArc.length < 10);
+		assert.ok(northArc.every(b => b >= 349 || b <= 11));
+		// Clockwise three-quarter arc from 0 to 270 degrees, through east and south
+		const largeArc = arcFrom(0, 270);
+		assert.ok(largeArc.length > 50);
+		assert.ok(largeArc.some(b => Math.abs(b - 90) < 5) && largeArc.some(b => Math.abs(b - 180) < 5));
+		assert.ok(largeArc.every(b => b <= 271));
+		// Counterclockwise from 10 to -10 degrees, across north
+		assert.ok(arcFrom(10, -10).every(b => b >= 349 || b <= 11));
+
+		const circle = findNotam(notams, 'B0567/26');
+		assert.equal(circle.coordinates.length, 72);
+		assert.ok(circle.coordinates.every(c => Math.abs(distanceNM({ lat: 48.766667, lon: 2.083333 }, c) - 2) < 0.01));
+	});
+
+	it('should read points in either axis order', () => {
+		const n = findNotam(notams, 'C0089/26');
+		assert.equal(n.isPolygon, false);
+		assert.equal(n.coordinates.length, 1);
+		assert.equal(n.coordinates[0].lat, 48.776667);
+		assert.equal(n.coordinates[0].lon, 2.0925);
+	});
+
+	it('should take the vertical limits of the airspace volume', () => {
+		assert.equal(formatVerticalLimits(findNotam(notams, 'A1234/26').verticalLimits), 'GND - FL065');
+		assert.equal(formatVerticalLimits(findNotam(notams, 'B0567/26').verticalLimits), '500 FT AGL - 2500 FT AMSL');
+	});
+
+	it('should match elements whatever their namespace prefix', () => {
+		const prefixes = { message: 'ns1', event: 'ns2', gml: 'ns3', xlink: 'ns4' };
+		const renamed = xml
+			.replace('xmlns:aixm=', 'xmlns=')
+			.replace(/\baixm:/g, '')
+			.replace(/\b(message|event|gml|xlink):/g, (m, prefix) => `${prefixes[prefix]}:`)
+			.replace(/xmlns:(message|event|gml|xlink)=/g, (m, prefix) => `xmlns:${prefixes[prefix]}=`);
+		assert.ok(renamed.includes('<ns2:Event ns3:id="EVT_TRA">'));
+		const renamedNotams = loadNotams(renamed);
+		assert.deepEqual(Array.from(renamedNotams, n => n.id), ['A1234/26', 'B0567/26', 'C0089/26']);
+		assert.equal(findNotam(renamedNotams, 'B0567/26').replacesId, 'B0498/26');
+		for (const n of notams) {
+			const r = findNotam(renamedNotams, n.id);
+			assert.deepEqual(Array.from(r.coordinates, c => [c.lat, c.lon]), Array.from(n.coordinates, c => [c.lat, c.lon]));
+			assert.equal(formatVerticalLimits(r.verticalLimits), formatVerticalLimits(n.verticalLimits));
+		}
+	});
+
+	it('should skip comments and read CDATA sections and nested elements', () => {
+		const edited = xml
+			.replace('<message:hasMember>', '<!-- <message:hasMember><event:Event gml:id="EVT_OLD"/></message:hasMember> -->\n\t<message:hasMember>')
+			.replace(/<!\[CDATA\[\(A1234[\s\S]*?\]\]>/, '')
+			.replace('C0089/26 NOTAMN', 'C0089/26 NOTAMN<!-- draft -->')
+			.replace('ARP LFPN, HEIGHT', '<![CDATA[ARP LFPN & ]]>HEIGHT');
+		const editedNotams = loadNotams(edited);
+		assert.deepEqual(Array.from(editedNotams, n => n.id), ['A1234/26', 'B0567/26', 'C0089/26']);
+		// Without translation, from the fields of the NOTAM and not those of
+		// its nested event:NOTAMTranslation (type ICAO)
+		const area = findNotam(editedNotams, 'A1234/26');
+		assert.equal(area.action, 'NOTAMN');
+		assert.equal(area.qualifier.code, 'QRTCA');
+		assert.equal(area.isPolygon, true);
+		assert.ok(findNotam(editedNotams, 'C0089/26').fullContent.includes('ARP LFPN & HEIGHT 108FT'));
+	});
+});
+
+describe('parse diagnostics', () => {
+	const positions = parseNotams(positionsText);
+	const areas = parseNotams(areasText);
+	const messages = (notam, type) => Array.from(notam.diagnostics.filter(d => d.type === type), d => d.message);
+
+	it('should explain a qualifier line position', () => {
+		const n = findNotam(positions, 'LEAN-R0225/26');
+		assert.deepEqual(messages(n, 'keyword'), ['No PSN, CENTRE, OBST or area keyword: coordinates not extracted']);
+		assert.deepEqual(messages(n, 'ignored'), ['414056N 0044930W: no extraction keyword']);
+		assert.deepEqual(messages(n, 'fallback'), ['No position in the text: Q) line position used']);
+	});
+
+	it('should list the keywords and matched coordinates', () => {
+		const n = findNotam(positions, 'EHAA-A0456/26');
+		assert.deepEqual(Array.from(n.diagnostics, d => d.message), [
+			'Keywords: PSN',
+			'514600N 0052622E: standalone PSN, radius 1 NM'
+		]);
+	});
+
+	it('should give the reason of ignored coordinates', () => {
+		assert.ok(messages(findNotam(areas, 'VABB-A0190/26'), 'ignored')
+			.includes('220008.47N 0785502.78E: before the area description'));
+		assert.ok(messages(findNotam(areas, 'LZIB-A2755/25'), 'ignored')
+			.includes('Area keyword "AREA" ignored: "RESTRICTED IN AREA" found'));
+		assert.ok(messages(findNotam(areas, 'LOWW-A3153/25'), 'ignored')
+			.every(m => m.endsWith('near duplicate of a closed group')));
+	});
+
+	it('should record the polygon decisions', () => {
+		const n = findNotam(areas, 'EBBR-F0162/26');
+		assert.deepEqual(messages(n, 'polygon'), [
+			'Area of 4 points: area keywords, dash-connected series',
+			'Self-intersecting area: vertices reordered into a simple polygon'
+		]);
+	});
+
+	it('should build the diagnostics list', () => {
+		const html = buildNotamDiagnosticsHtml({ diagnostics: [{ type: 'ignored', message: 'A <B>' }] });
+		assert.equal(html, '<ul class="notam-diagnostics"><li class="diagnostic-ignored">A &lt;B&gt;</li></ul>');
+		assert.equal(buildNotamDiagnosticsHtml({ diagnostics: [] }), '');
+	});
+});
+
+describe('source highlighting', () => {
+	const positions = parseNotams(positionsText);
+	const areas = parseNotams(areasText);
+	const sourceTexts = (notam, kind) => Array.from(notam.sourceSpans.filter(s => s.kind === kind),
+		s => notam.fullContent.slice(s.start, s.end));
+
+	it('should keep section offsets', () => {
+		const offsets = {};
+		const sections = parseSections('Q) LFFF/QOBCE\nE)   CRANE PSN 484024N 0030441E', offsets);
+		assert.equal(offsets.Q, 3);
+		assert.equal(offsets.E, 19);
+		assert.equal(sections.E, 'CRANE PSN 484024N 0030441E');
+	});
+
+	it('should locate coordinates and keywords in fullContent', () => {
+		const n = findNotam(positions, 'EHAA-A0456/26');
+		assert.deepEqual(sourceTexts(n, 'keyword'), ['PSN', 'RADIUS 1NM']);
+		assert.deepEqual(sourceTexts(n, 'coordinate'), ['514600N 0052622E']);
+		const span = n.sourceSpans.find(s => s.kind === 'coordinate');
+		assert.equal(span.lat, n.coordinates[0].lat);
+		assert.equal(span.lon, n.coordinates[0].lon);
+	});
+
+	it('should locate area vertices across lines and area keywords', () => {
+		const n = findNotam(areas, 'LPPP-A6116/25');
+		assert.ok(sourceTexts(n, 'coordinate').includes('401507N\n0073209W'));
+		assert.equal(sourceTexts(findNotam(areas, 'LEAN-R0263/26'), 'keyword')[0], 'WI COORD');
+	});
+
+	it('should locate qualifier line and derived positions', () => {
+		assert.deepEqual(sourceTexts(findNotam(positions, 'LEAN-R0225/26'), 'coordinate'), ['4140N00449W001']);
+		const [derived] = parseNotams(`LFFA-P0001/26
+Q) LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+A) LFPN
+E) GRUE RDL336/1.78NM ARP`);
+		assert.deepEqual(sourceTexts(derived, 'coordinate'), ['RDL336/1.78NM ARP']);
+	});
+
+	it('should highlight the NOTAM text', () => {
+		const html = highlightNotamText({
+			fullContent: 'E) A<B PSN 484024N 0030441E',
+			sourceSpans: [
+				{ start: 7, end: 10, kind: 'keyword' },
+				{ start: 11, end: 27, kind: 'coordinate', lat: 48.5, lon: 3.25 }
+			]
+		});
+		assert.equal(html, 'E) A&lt;B <mark class="source-keyword">PSN</mark> ' +
+			'<mark class="source-coordinate" data-lat="48.5" data-lon="3.25" title="Show on map">484024N 0030441E</mark>');
+		assert.equal(highlightNotamText({ fullContent: 'E) TEXT' }), 'E) TEXT');
+	});
+});
+
 // Integration tests: positions
 
 describe('parseNotams - positions', () => {
 	const notams = parseNotams(positionsText);
 
 	it('should parse all position NOTAMs', () => {
-		assert.equal(notams.length, 17);
+		assert.equal(notams.length, 20);
 	});
 
 	it('should not mark any position NOTAM as polygon', () => {
@@ -327,31 +1116,6 @@ describe('parseNotams - positions', () => {
 		assertNear(n.coordinates[0].lon, 14.3392, 'lon');
 	});
 
-	it('should parse circle centres as separate entries (LZIB-A2755/25)', () => {
-		const entries = notams.filter(n => n.id === 'LZIB-A2755/25');
-		assert.equal(entries.length, 3);
-		for (const n of entries) {
-			assert.equal(n.isPolygon, false);
-			assert.equal(n.coordinates.length, 1);
-			assert.equal(n.coordinates[0].type, 'psn');
-		}
-		assertNear(entries[0].coordinates[0].lat, 48.4017, 'lat 1');
-		assertNear(entries[0].coordinates[0].lon, 17.1197, 'lon 1');
-		assertNear(entries[1].coordinates[0].lat, 48.6372, 'lat 2');
-		assertNear(entries[1].coordinates[0].lon, 19.1342, 'lon 2');
-		assertNear(entries[2].coordinates[0].lat, 49.0278, 'lat 3');
-		assertNear(entries[2].coordinates[0].lon, 21.3031, 'lon 3');
-	});
-
-	it('should extract radius for circle centres (LZIB-A2755/25)', () => {
-		const entries = notams.filter(n => n.id === 'LZIB-A2755/25');
-		assert.equal(entries.length, 3);
-		for (const n of entries) {
-			assert.equal(n.coordinates[0].radius, 5.6, 'radius');
-			assert.equal(n.coordinates[0].radiusUnit, 'KM', 'unit');
-		}
-	});
-
 	it('should parse PSN with RADIUS in NM after coordinates (EHAA-A0456/26)', () => {
 		const n = findNotam(notams, 'EHAA-A0456/26');
 		assert.ok(n);
@@ -424,18 +1188,341 @@ describe('parseNotams - positions', () => {
 	});
 });
 
+describe('parseNotams - coordinate notations', () => {
+	const notams = parseNotams(positionsText);
+	const cases = [
+		{ id: 'LFFA-P3664/25', original: '433604.72 N 0035234.97 E', lat: 43.6013, lon: 3.8764 },
+		{ id: 'FNBJ-A0321/22', original: 'S053428.8E0121114.2', lat: -5.5747, lon: 12.1873 },
+		{ id: 'LQBH-A0191/26', original: '43.624963N 017.340444E', lat: 43.6250, lon: 17.3404 },
+		{ id: 'LFFA-P0512/26', original: 'N48 46.6 E002 05.55', lat: 48.7767, lon: 2.0925 },
+		{ id: 'LFFA-P0513/26', original: '48°46\'21"N 002°05\'02"E', lat: 48.7725, lon: 2.0839 },
+		{ id: 'LFFA-P0514/26', original: '48-45-06N 002-04-11E', lat: 48.7517, lon: 2.0697 },
+	];
+
+	for (const t of cases) {
+		it(`should parse ${t.original} as a position (${t.id})`, () => {
+			const n = findNotam(notams, t.id);
+			assert.ok(n);
+			assert.equal(n.coordinates.length, 1);
+			assert.equal(n.coordinates[0].type, 'psn');
+			assert.equal(n.coordinates[0].original, t.original);
+			assertNear(n.coordinates[0].lat, t.lat, 'lat');
+			assertNear(n.coordinates[0].lon, t.lon, 'lon');
+		});
+	}
+
+	it('should parse areas in other notations', () => {
+		const text = `LLAD-C0010/26
+Q) LLLL / QWULW / IV / BO / W / 000/010 / 3149N03458E001
+A) LLLL
+E) UAS ACT WILL TAKE PLACE AT LATRUN.
+AN AREA BTN THE FLW PSNS  N314945E0345822 N314949E0345806
+N314936E0345743 N314910E0345813 CLSD FM GND UP TO
+300FT AGL, 950FT AMSL.`;
+		const n = parseNotams(text)[0];
+		assert.equal(n.isPolygon, true);
+		assert.equal(n.coordinates.length, 4);
+	});
+
+	it('should detect dash-connected areas in other notations', () => {
+		const text = `TEST-A0001/26
+Q) LFFF / QOBCE / IV / M / E / 000/005 / 4845N00207E005
+A) LFFF
+E) CRANES OPERATING WI
+N48 45.0 E002 05.0 - N48 47.0 E002 09.0 - N48 44.0 E002 10.0 - N48 43.0 E002 06.0`;
+		const n = parseNotams(text)[0];
+		assert.equal(n.isPolygon, true);
+		assert.equal(n.coordinates.length, 4);
+	});
+});
+
+describe('obstacle data', () => {
+	it('should parse French obstacle fields', () => {
+		const o = parseObstacle(`GRUE A TOUR PROCHE PARIS SACLAY VERSAILLES AD :
+RDL336/1.78NM ARP :
+PSN : 484636N 0020533E
+HAUTEUR : 108FT
+ALTITUDE AU SOMMMET : 622FT
+BALISAGE : JOUR ET NUIT`);
+		assert.equal(o.type, 'crane');
+		assert.deepEqual({ ...o.height }, { value: 108, unit: 'FT' });
+		assert.deepEqual({ ...o.elevation }, { value: 622, unit: 'FT' });
+		assert.equal(o.lighting, 'day-night');
+	});
+
+	it('should parse English obstacle fields', () => {
+		const o = parseObstacle(`CRANE ERECTED
+PSN : 161514N0611540W
+ALT ON TOP : 138FT
+HEIGHT : 125FT
+LIGHTED AT NIGHT.`);
+		assert.equal(o.type, 'crane');
+		assert.equal(o.height.value, 125);
+		assert.equal(o.elevation.value, 138);
+		assert.equal(o.lighting, 'night');
+	});
+
+	it('should parse metric heights and marking', () => {
+		const o = parseObstacle(`WIND MEASURING MAST, HGT 45M AGL, ELEV 1964FT.
+DAY AND NIGHT MARKED.`);
+		assert.equal(o.type, 'mast');
+		assert.deepEqual({ ...o.height }, { value: 45, unit: 'M' });
+		assert.equal(obstacleHeightFeet(o), 148);
+		assert.equal(o.lighting, 'day-night');
+	});
+
+	it('should parse heights given above ground level', () => {
+		const o = parseObstacle('WINDPARK PSN 502922N 0074314E. ELEV 1964FT/810FT AGL.');
+		assert.equal(o.type, 'wind-turbine');
+		assert.equal(o.height.value, 810);
+		assert.equal(o.elevation.value, 1964);
+	});
+
+	it('should not take the elevation at the base as the top', () => {
+		const o = parseObstacle('CABLEWAY. MAX HGT ABOVE GND: 40M/131FT ELEV AT THE BASE: 1773M/5817FT');
+		assert.equal(o.type, 'other');
+		assert.equal(o.elevation, null);
+		assert.equal(o.lighting, null);
+	});
+
+	it('should parse unlit obstacles', () => {
+		assert.equal(parseObstacle('GRUE FIXE. BALISAGE : NIL').lighting, 'none');
+		assert.equal(parseObstacle('HGT AGL 114FT. NGT SGL NOT PROVIDED').lighting, 'none');
+	});
+
+	it('should attach obstacle data to obstacle NOTAMs only', () => {
+		const notams = parseNotams(positionsText);
+		const crane = findNotam(notams, 'TTPP-A1652/25');
+		assert.equal(crane.obstacle.type, 'crane');
+		assert.equal(crane.obstacle.height.value, 125);
+		assert.equal(crane.coordinates[0].obstacle.height.value, 125);
+		assert.equal(findNotam(notams, 'LFFA-W2942/24').obstacle, null);
+	});
+
+	it('should read each obstacle from the text following its position', () => {
+		const text = `LFFA-P3613/25
+Q) LFFF / QOBCE / IV / M / E / 000/011 / 4839N00359E001
+A) LFFF
+E) PARC DES 2 NOUES DE 2 EOLIENNES A 'FAUX-FRESNAY'
+-EOLIENNE 1  :
+PSN : 483923.17N 0035848.18E
+HAUT : 657FT
+ALT AU SOMMET : 1027FT
+-EOLIENNE 2  :
+PSN : 483922.89N 0035912.9E
+HAUT : 657FT
+ALT AU SOMMET : 1044FT
+BALISAGE : JOUR ET NUIT`;
+		const notams = parseNotams(text);
+		assert.equal(notams.length, 2);
+		assert.deepEqual(Array.from(notams, n => n.obstacle.elevation.value), [1027, 1044]);
+		assert.deepEqual(Array.from(notams, n => n.obstacle.type), ['wind-turbine', 'wind-turbine']);
+		// Lighting given once for both obstacles
+		assert.deepEqual(Array.from(notams, n => n.obstacle.lighting), ['day-night', 'day-night']);
+	});
+});
+
+describe('parseNotams - radial/distance positions', () => {
+	it('should cross-check the radial/distance against the PSN (LFFA-W2942/24)', () => {
+		const n = findNotam(parseNotams(positionsText), 'LFFA-W2942/24');
+		const c = n.coordinates[0];
+		assert.equal(c.type, 'psn');
+		assert.equal(c.crossCheck.original, 'RDL 031/5.4NM ARP LFAI');
+		assert.ok(c.crossCheck.distance < 0.2, `distance ${c.crossCheck.distance}`);
+		assert.equal(c.crossCheck.mismatch, false);
+	});
+
+	it('should resolve a bare ARP with the A) aerodrome', () => {
+		const text = `LFFA-P0233/26
+A)  LFPN
+Q)  LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E)  GRUE A TOUR PROCHE PARIS SACLAY VERSAILLES AD RDL311/1.56NM ARP :
+- PSN : 484601N 0020453E`;
+		const c = parseNotams(text)[0].coordinates[0];
+		assert.equal(c.crossCheck.original, 'RDL311/1.56NM ARP');
+		assert.equal(c.crossCheck.mismatch, false);
+	});
+
+	it('should flag a radial/distance far from the PSN', () => {
+		const text = `LFFA-P4370/25
+A)  LFPN
+Q)  LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E)  GRUE MOBILE PROCHE RWY07L AD PARIS SACLAY VERSAILLES, RDL255/2.45NM
+ARP LFPN
+PSN: 484452.5N 0020431.9E`;
+		const c = parseNotams(text)[0].coordinates[0];
+		assert.equal(c.type, 'psn');
+		assert.equal(c.crossCheck.original, 'RDL255/2.45NM ARP LFPN');
+		assert.equal(c.crossCheck.mismatch, true);
+	});
+
+	it('should derive the position when no coordinate is found (LFFA-P3288/25)', () => {
+		const text = `LFFA-P3288/25 NOTAM
+Q) LFFF / QOBCE / IV / M / E / 000/010 / 5022N00226E001
+A) LFFF
+B) 2025-11-10 06:00 C) 2038-01-19 03:14
+E) WIND MEASURING MAST OPR AT 'BAILLEUL AUX CORNAILLES', RDL
+286/13.91NM ARP LFQD`;
+		const n = parseNotams(text)[0];
+		assert.equal(n.isPolygon, false);
+		assert.equal(n.coordinates.length, 1);
+		const c = n.coordinates[0];
+		assert.equal(c.type, 'derived');
+		assert.equal(c.reference, 'LFQD');
+		assert.equal(c.original, 'RDL 286/13.91NM ARP LFQD');
+		const lfqd = findReferencePoint('LFQD');
+		assertNear(bearingDegrees(lfqd, c), 286 + lfqd.variation, 'bearing');
+		assertNear(distanceNM(lfqd, c), 13.91, 'distance');
+		// Published PSN of the mast: 502314N 0022713E
+		assert.ok(distanceNM(c, { lat: 50.3872, lon: 2.4536 }) < 0.5);
+	});
+
+	it('should not resolve navaid references', () => {
+		const text = `LFFA-P0001/26
+A)  LFBD
+Q)  LFBB / QOBCE / IV / M / A / 000/999 / 4432N00107W005
+E)  GRUE RDL260/1.3NM TACAN CAA`;
+		assert.equal(parseNotams(text)[0].coordinates[0].type, 'qualifierLine');
+	});
+
+	it('should fall back to the Q) line for unknown references', () => {
+		const text = `LFFA-P0002/26
+A)  LFXX
+Q)  LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E)  GRUE RDL100/2NM ARP`;
+		assert.equal(parseNotams(text)[0].coordinates[0].type, 'qualifierLine');
+	});
+});
+
 // Integration tests: areas
 
+describe('route corridor', () => {
+	const lfpn = findReferencePoint('LFPN');
+	const lfrs = findReferencePoint('LFRS');
+	const route = [lfpn, lfrs];
+	const abeam = distance => destinationPoint(lfpn, bearingDegrees(lfpn, lfrs) + 90, distance);
+
+	it('should resolve aerodromes from the offline database', () => {
+		const { points, unresolved } = parseRoute('LFPN LFAK lfrs BIAR');
+		assert.deepEqual(Array.from(points, p => p.name), ['LFPN', 'LFAK', 'LFRS', 'BIAR']);
+		assertNear(points[0].lat, 48.7519, 'LFPN reference point');
+		assertNear(points[3].lat, 65.65657, 'BIAR reference point');
+		assert.equal(unresolved.length, 0);
+	});
+
+	it('should accept coordinates and report unknown waypoints', () => {
+		const { points, unresolved } = parseRoute('LFPN DCT 484024N 0030441E ZZZZ N48 46.6 E002 05.55');
+		assert.deepEqual(Array.from(points, p => p.name), ['LFPN', '484024N 0030441E', 'N48 46.6 E002 05.55']);
+		assertNear(points[1].lon, 3.07806, '484024N 0030441E');
+		assert.deepEqual(Array.from(unresolved), ['ZZZZ']);
+	});
+
+	it('should measure the distance to the route', () => {
+		assertNear(routeDistanceNM(lfpn, route), 0, 'waypoint');
+		assert.ok(Math.abs(routeDistanceNM(abeam(5), route) - 5) < 0.05);
+		assertNear(routeDistanceNM(abeam(5), [lfpn]), 5, 'single waypoint');
+	});
+
+	it('should include the radius circle of markers', () => {
+		const { lat, lon } = abeam(10.5);
+		assert.equal(groupIntersectsCorridor({ lat, lon, radius: null }, route, 10), false);
+		assert.equal(groupIntersectsCorridor({ lat, lon, radius: 1, radiusUnit: 'NM' }, route, 10), true);
+		assert.equal(groupIntersectsCorridor({ lat, lon, radius: 500, radiusUnit: 'M' }, route, 10), false);
+	});
+
+	it('should keep areas crossed by or containing the route', () => {
+		const square = (centre, size) => [0, 90, 180, 270].map(b => destinationPoint(centre, b + 45, size));
+		const middle = { lat: (lfpn.lat + lfrs.lat) / 2, lon: (lfpn.lon + lfrs.lon) / 2 };
+		assert.equal(polygonIntersectsCorridor(square(middle, 20), route, 1), true);
+		assert.equal(polygonIntersectsCorridor(square(lfpn, 200), route, 1), true);
+		assert.equal(polygonIntersectsCorridor(square(abeam(30), 10), route, 10), false);
+		assert.equal(polygonIntersectsCorridor(square(abeam(30), 10), route, 25), true);
+	});
+
+	it('should filter marker groups outside the corridor', () => {
+		const groups = groupNotamsByLocation(parseNotams(positionsText), false);
+		const corridor = { points: parseRoute('LFPN LFPG').points, halfWidth: 5 };
+		const kept = [...locationGroupsInCorridor(groups, corridor).values()].flatMap(g => g.notams.map(n => n.id));
+		assert.deepEqual(kept, ['LFFA-P0512/26', 'LFFA-P0513/26', 'LFFA-P0514/26']);
+		assert.equal(locationGroupsInCorridor(groups, null), groups);
+	});
+});
+
+describe('flight plan import', () => {
+	const names = waypoints => Array.from(waypoints, p => p.name);
+
+	it('should read field 15 of an ICAO FPL message', () => {
+		const waypoints = parseFlightPlan(`(FPL-FGABC-VG
+-DR40/L-SDFGY/S
+-LFPN0900
+-N0105VFR DCT PON/N0100A025 DCT 4830N00130E UN869 47N002W DCT
+-LFRS0130 LFRN
+-DOF/260218)`);
+		assert.deepEqual(names(waypoints), ['LFPN', 'PON', '4830N00130E', '47N002W', 'LFRS']);
+		assert.equal(flightPlanRouteText(waypoints), 'LFPN PON 483000N 0013000E 470000N 0020000W LFRS');
+	});
+
+	it('should read a Garmin flight plan', () => {
+		const waypoints = parseFlightPlan(`<?xml version="1.0" encoding="utf-8"?>
+<flight-plan xmlns="http://www8.garmin.com/xmlschemas/FlightPlan/v1">
+	<waypoint-table>
+		<waypoint><identifier>LFPN</identifier><type>AIRPORT</type><lat>48.749767</lat><lon>2.111050</lon></waypoint>
+		<waypoint><identifier>LFRS</identifier><type>AIRPORT</type><lat>47.156667</lat><lon>-1.608056</lon></waypoint>
+	</waypoint-table>
+	<route>
+		<route-point><waypoint-identifier>LFPN</waypoint-identifier></route-point>
+		<route-point><waypoint-identifier>LFRS</waypoint-identifier></route-point>
+	</route>
+</flight-plan>`);
+		assert.deepEqual(names(waypoints), ['LFPN', 'LFRS']);
+		assert.equal(flightPlanRouteText(waypoints), '484459N 0020640E 470924N 0013629W');
+	});
+
+	it('should read a GPX route', () => {
+		const waypoints = parseFlightPlan('<gpx><rte><rtept lat="48.75" lon="2.11"><name>LFPN</name></rtept><rtept lat="47.15" lon="-1.6"><name>A &amp; B</name></rtept></rte></gpx>');
+		assert.deepEqual(names(waypoints), ['LFPN', 'A & B']);
+		assertNear(waypoints[1].lon, -1.6, 'longitude');
+	});
+
+	it('should simplify GPX tracks', () => {
+		const points = Array.from({ length: 50 }, (_, i) => `<trkpt lat="${48 + i * 0.01}" lon="${2 + (i % 2) * 0.001}"/>`);
+		const waypoints = parseFlightPlan(`<gpx><trk><trkseg>${points.join('')}</trkseg></trk></gpx>`);
+		assert.equal(waypoints.length, 2);
+		assert.equal(simplifyRoute([{ lat: 48, lon: 2 }, { lat: 48.5, lon: 2.5 }, { lat: 49, lon: 2 }], 0.5).length, 3);
+	});
+
+	it('should read SkyDemon and .pln flight plans', () => {
+		const skyDemon = parseFlightPlan('<DivelementsFlightPlanner><PrimaryRoute CourseType="GreatCircle" Start="N484459.00 E0020639.00"><RhumbLineRoute To="N470924.00 W0013629.00" /></PrimaryRoute></DivelementsFlightPlanner>');
+		assert.equal(flightPlanRouteText(skyDemon), '484459N 0020639E 470924N 0013629W');
+		const pln = parseFlightPlan(`<SimBase.Document><FlightPlan.FlightPlan>
+<ATCWaypoint id="LFPN"><WorldPosition>N48° 44' 59.00",E2° 6' 39.00",+000538.00</WorldPosition></ATCWaypoint>
+<ATCWaypoint id="LFRS"><WorldPosition>N47° 9' 24.00",W1° 36' 29.00",+000090.00</WorldPosition></ATCWaypoint>
+</FlightPlan.FlightPlan></SimBase.Document>`);
+		assert.deepEqual(names(pln), ['LFPN', 'LFRS']);
+		assert.equal(flightPlanRouteText(pln), '484459N 0020639E 470924N 0013629W');
+	});
+
+	it('should leave NOTAM files alone', () => {
+		assert.equal(parseFlightPlan(positionsText), null);
+	});
+
+	it('should give a route text resolved by parseRoute', () => {
+		const { points, unresolved } = parseRoute('LFPN PON 483000N 0013000E 470000N 0020000W LFRS');
+		assert.deepEqual(Array.from(points, p => p.name), ['LFPN', '483000N 0013000E', '470000N 0020000W', 'LFRS']);
+		assert.deepEqual(Array.from(unresolved), ['PON']);
+	});
+});
+
 describe('parseNotams - areas', () => {
 	const notams = parseNotams(areasText);
 
 	it('should parse all area NOTAMs', () => {
-		assert.equal(notams.length, 25);
+		assert.equal(notams.length, 30);
 	});
 
 	it('should mark area NOTAMs as polygons', () => {
 		const polygons = notams.filter(n => n.isPolygon);
-		assert.equal(polygons.length, 16);
+		assert.equal(polygons.length, 29);
 	});
 
 	it('should parse LIMITES LATERALES keyword (LFFA-R2339/25)', () => {
@@ -561,15 +1648,69 @@ describe('parseNotams - areas', () => {
 		assertNear(entries[0].coordinates[0].lat, 64.55, 'polygon first lat');
 		assertNear(entries[0].coordinates[0].lon, 55.0831, 'polygon first lon');
 
-		// Remaining 8 entries: individual circle centres with radius
+		// Remaining 8 entries: circles of 1KM radius
 		for (let i = 1; i < 9; i++) {
-			assert.equal(entries[i].isPolygon, false, `entry ${i} should not be polygon`);
-			assert.equal(entries[i].coordinates.length, 1, `entry ${i} should have 1 coord`);
-			assert.equal(entries[i].coordinates[0].radius, 1, `entry ${i} radius`);
-			assert.equal(entries[i].coordinates[0].radiusUnit, 'KM', `entry ${i} unit`);
+			assert.equal(entries[i].isPolygon, true, `entry ${i} should be polygon`);
+			assert.equal(entries[i].coordinates.length, 72, `entry ${i} points`);
+		}
+		const centre = { lat: 64.3589, lon: 55.1225 };
+		for (const c of entries[1].coordinates) {
+			assert.ok(Math.abs(distanceNM(centre, c) - 1 / 1.852) < 0.01, 'point on circle');
 		}
 	});
 
+	it('should draw circles as polygons (LZIB-A2755/25)', () => {
+		const entries = notams.filter(n => n.id === 'LZIB-A2755/25');
+		assert.equal(entries.length, 3);
+		const centres = [
+			{ lat: 48.4017, lon: 17.1197 },
+			{ lat: 48.6372, lon: 19.1342 },
+			{ lat: 49.0278, lon: 21.3031 }
+		];
+		entries.forEach((n, i) => {
+			assert.equal(n.isPolygon, true);
+			assert.equal(n.coordinates.length, 72);
+			for (const c of n.coordinates) {
+				assert.equal(c.type, 'arc');
+				assert.ok(Math.abs(distanceNM(centres[i], c) - 5.6 / 1.852) < 0.01, `circle ${i + 1} point on circle`);
+			}
+		});
+	});
+
+	it('should densify an arc between vertices (EGGN-J0230/26)', () => {
+		const n = findNotam(notams, 'EGGN-J0230/26');
+		assert.ok(n);
+		assert.equal(n.isPolygon, true);
+		const vertices = n.coordinates.filter(c => c.type === 'psn');
+		assert.equal(vertices.length, 3);
+		assertNear(vertices[2].lat, 51.1081, 'arc start lat');
+		assertNear(vertices[2].lon, 1.36, 'arc start lon');
+
+		// Arc points follow the 2.25NM circle anticlockwise from the last vertex to the first
+		const arc = n.coordinates.slice(3);
+		assert.ok(arc.length > 5);
+		const centre = { lat: 51.1333, lon: 1.3167 };
+		let previous = bearingDegrees(centre, vertices[2]);
+		for (const c of arc) {
+			assert.equal(c.type, 'arc');
+			assert.ok(Math.abs(distanceNM(centre, c) - 2.25) < 0.1, 'point on arc');
+			const bearing = bearingDegrees(centre, c);
+			assert.ok(bearing < previous, 'anticlockwise');
+			previous = bearing;
+		}
+	});
+
+	it('should close an arc back to the point of origin (LIIA-E2763/25)', () => {
+		const n = findNotam(notams, 'LIIA-E2763/25');
+		assert.ok(n);
+		assert.equal(n.isPolygon, true);
+		assert.equal(n.coordinates.filter(c => c.type === 'psn').length, 8);
+		const arc = n.coordinates.filter(c => c.type === 'arc');
+		assert.ok(arc.length > 5);
+		// The arc centre is not a vertex
+		assert.ok(!n.coordinates.some(c => Math.abs(c.lat - 45.6997) < 0.001 && Math.abs(c.lon - 12.7636) < 0.001));
+	});
+
 	it('should make simple polygon from self-intersecting coords (EBBR-F0162/26)', () => {
 		const n = findNotam(notams, 'EBBR-F0162/26');
 		assert.ok(n);
@@ -597,20 +1738,469 @@ describe('parseNotams - areas', () => {
 	});
 });
 
+// Export tests
+
+describe('GeoJSON export', () => {
+	const toGeoJson = notams => JSON.parse(JSON.stringify(notamsToGeoJson(notams)));
+	const positions = toGeoJson(parseNotams(positionsText));
+	const areas = toGeoJson(parseNotams(areasText));
+	const feature = (collection, id) => collection.features.find(f => f.properties.id === id);
+
+	it('should write positions as Points with their radius in NM', () => {
+		assert.equal(positions.type, 'FeatureCollection');
+		const f = feature(positions, 'LEAN-R0300/26');
+		assert.equal(f.geometry.type, 'Point');
+		assertNear(f.geometry.coordinates[0], 16.035, 'lon');
+		assertNear(f.geometry.coordinates[1], 40.8864, 'lat');
+		assertNear(f.properties.radius, 0.27, 'radius');
+		assert.equal(f.properties.qualifierLine, false);
+		assert.equal(feature(positions, 'LFFA-W2942/24').properties.radius, null);
+	});
+
+	it('should put the NOTAM fields into properties', () => {
+		const { properties } = feature(positions, 'LFFA-W2942/24');
+		assert.equal(properties.qCode, 'QWULW');
+		assert.equal(properties.fir, 'LFFF');
+		assert.equal(properties.schedule, 'SR-SS');
+		assert.deepEqual(properties.icaoCodes, ['LFFF']);
+		assert.equal(properties.startDate, '2025-01-20T07:32:00.000Z');
+		assert.equal(properties.verticalLimits.upper.feet, 1400);
+		assert.ok(properties.fullContent.includes('VAUDOY EN'));
+		for (const name of ['coordinates', 'qualifier', 'decodedQCode', 'diagnostics', 'sourceSpans']) {
+			assert.equal(properties[name], undefined, name);
+		}
+	});
+
+	it('should flag qualifier line fallbacks', () => {
+		const collection = toGeoJson(parseNotams(`LFFA-E4226/25
+A)  LFPN
+Q)  LFFF / QFUTT / IV / BO / A / 000/999 / 4845N00207E005
+E)  NOTAM TRIGGER - SUP AIP AIRAC 168/25`));
+		const { properties } = collection.features[0];
+		assert.equal(properties.qualifierLine, true);
+		assert.equal(properties.radius, 5);
+	});
+
+	it('should write closed counterclockwise Polygons for areas', () => {
+		const f = areas.features.find(f => f.geometry && f.geometry.type === 'Polygon');
+		const ring = f.geometry.coordinates[0];
+		assert.deepEqual(ring[0], ring[ring.length - 1]);
+		const area = ring.slice(1).reduce((sum, p, i) => sum + (p[0] - ring[i][0]) * (p[1] + ring[i][1]), 0);
+		assert.ok(area < 0);
+	});
+
+	it('should write a null geometry for areas without any ring', () => {
+		const notam = parseNotams(areasText).find(n => n.isPolygon);
+		const [f] = toGeoJson([{ ...notam, coordinates: notam.coordinates.slice(0, 2) }]).features;
+		assert.equal(f.geometry, null);
+		assert.equal(f.properties.id, notam.id);
+	});
+
+	it('should split areas at the antimeridian (KZAK-A0546/26)', () => {
+		const { geometry } = feature(areas, 'KZAK-A0546/26');
+		assert.equal(geometry.type, 'MultiPolygon');
+		assert.equal(geometry.coordinates.length, 2);
+		for (const [ring] of geometry.coordinates) {
+			assert.ok(ring.every(([lon]) => lon >= -180 && lon <= 180));
+			assert.ok(ring.some(([lon]) => Math.abs(lon) === 180));
+		}
+	});
+
+	it('should keep vertices on the antimeridian with the adjacent side', () => {
+		const notam = parseNotams(areasText).find(n => n.isPolygon);
+		const geometry = points => toGeoJson([{ ...notam, coordinates: points.map(([lat, lon]) => ({ lat, lon, type: 'psn' })) }])
+			.features[0].geometry;
+		assert.deepEqual(geometry([[10, 170], [10, 180], [0, 180], [0, 170]]),
+			{ type: 'Polygon', coordinates: [[[170, 0], [180, 0], [180, 10], [170, 10], [170, 0]]] });
+		assert.equal(geometry([[10, -180], [10, -170], [0, -170], [0, -180]]).type, 'Polygon');
+		const split = geometry([[10, 170], [10, 180], [5, 190], [0, 180], [0, 170]]);
+		assert.equal(split.type, 'MultiPolygon');
+		assert.deepEqual(split.coordinates[1], [[[-180, 0], [-170, 5], [-180, 10], [-180, 0]]]);
+	});
+});
+
+describe('KML/KMZ export', () => {
+	const areas = parseNotams(areasText);
+	const kml = notamsToKml(groupPolygonsByLocation(areas), groupNotamsByLocation(parseNotams(positionsText), false));
+	const placemark = id => kml.split('<Placemark>').find(p => p.startsWith(`<name>${id}`));
+
+	it('should write areas, positions and radius circles in folders', () => {
+		assert.ok(kml.startsWith('<?xml'));
+		assert.equal(kml.split('<Folder>').length - 1, 3);
+		assert.ok(placemark('LFFA-W2942/24').includes('<Point><coordinates>3.078056,48.673333</coordinates></Point>'));
+		assert.ok(placemark('LFFA-W2942/24').includes('&lt;pre&gt;DU: 20 01 2025 07:32'));
+		const circle = kml.split('<Placemark>').filter(p => p.startsWith('<name>EHAA-A0456/26'));
+		assert.equal(circle.length, 2);
+		assert.ok(circle[1].includes('<styleUrl>#radius</styleUrl>'));
+		// GND - 500 FT AGL
+		assert.ok(circle[1].includes('<altitudeMode>relativeToGround</altitudeMode>'));
+	});
+
+	it('should put all co-located NOTAMs in one placemark', () => {
+		const notams = parseNotams(`LFFA-P0101/26
+A)  LFPN
+Q)  LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E)  GRUE A TOUR
+PSN : 484636N 0020533E
+
+LFFA-P0102/26
+A)  LFPN
+Q)  LFFF / QOLAS / IV / M / A / 000/999 / 4845N00207E005
+E)  BALISAGE GRUE HORS SERVICE
+PSN : 484636N 0020533E`);
+		const p = notamsToKml(new Map(), groupNotamsByLocation(notams, false)).split('<Placemark>')[1];
+		assert.ok(p.startsWith('<name>LFFA-P0101/26, LFFA-P0102/26</name>'));
+		assert.ok(p.includes('LFFA-P0102/26&lt;/h3&gt;&lt;pre&gt;A)  LFPN'));
+	});
+
+	it('should escape the NOTAM text in the description HTML', () => {
+		const notams = parseNotams(`LFFA-P0103/26
+A)  LFPN
+Q)  LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E)  CRANE <50M> & LIGHTS
+PSN : 484636N 0020533E`);
+		const p = notamsToKml(new Map(), groupNotamsByLocation(notams, false)).split('<Placemark>')[1];
+		assert.ok(p.includes('E)  CRANE &amp;lt;50M&amp;gt; &amp;amp; LIGHTS'));
+		assert.ok(!p.includes('&lt;50M'));
+	});
+
+	it('should extrude areas between their vertical limits', () => {
+		const p = placemark('LFFA-R2339/25');
+		assert.ok(p.includes('<altitudeMode>absolute</altitudeMode>'));
+		// FL095 - FL215: floor, ceiling and walls
+		assert.ok(p.includes(',2896 '));
+		assert.ok(p.includes(',6553 '));
+		assert.ok(p.split('<Polygon>').length > 4);
+	});
+
+	it('should leave areas with mixed limit datums on the ground', () => {
+		const band = text => kmlVerticalBand(parseVerticalLimits(parseSections(text), null));
+		assert.equal(band('F) 1000FT AGL G) FL065'), null);
+		assert.equal(band('F) 500FT AMSL G) 2000FT AGL'), null);
+		assert.equal(band('F) SFC G) 2000FT AGL').mode, 'relativeToGround');
+		assert.equal(band('F) GND G) FL065').mode, 'absolute');
+		assert.deepEqual({ ...band('F) 1000FT AMSL G) FL065') }, { lower: 305, upper: 1981, mode: 'absolute' });
+	});
+
+	it('should split areas at the antimeridian without extrusion when unlimited', () => {
+		const p = placemark('KZAK-A0546/26');
+		assert.equal(p.split('<Polygon>').length - 1, 2);
+		assert.ok(p.includes('<altitudeMode>clampToGround</altitudeMode>'));
+	});
+
+	it('should build a ZIP archive for KMZ', () => {
+		assert.equal(crc32(new TextEncoder().encode('hello')), 0x3610a686);
+		const data = new TextEncoder().encode(kml);
+		const zip = createZip([{ name: 'doc.kml', data }]);
+		const view = new DataView(zip.buffer);
+		assert.equal(view.getUint32(0, true), 0x04034b50);
+		assert.equal(view.getUint32(18, true), data.length);
+		assert.equal(new TextDecoder().decode(zip.slice(30, 37)), 'doc.kml');
+		assert.equal(view.getUint32(zip.length - 22, true), 0x06054b50);
+		assert.equal(zip.length, 30 + 7 + data.length + 46 + 7 + 22);
+	});
+});
+
+describe('OpenAir export', () => {
+	const openAir = notamsToOpenAir([...parseNotams(areasText), ...parseNotams(positionsText)]);
+	const blocks = openAir.split('\n\n');
+	const block = id => blocks.find(b => b.includes(`AN ${id}\n`));
+
+	it('should write areas with DP vertices and limits', () => {
+		const lines = block('LFFA-R2339/25').split('\n');
+		assert.deepEqual(lines.slice(0, 4), ['AC R', 'AN LFFA-R2339/25', 'AL FL95', 'AH FL215']);
+		assert.equal(lines[4], 'DP 50:00:00 N 001:07:06 W');
+		assert.ok(lines.slice(4).every(l => /^DP \d{2}:\d{2}:\d{2} [NS] \d{3}:\d{2}:\d{2} [EW]$/.test(l)));
+		assert.ok(block('LPPP-A6116/25').includes('AL GND\nAH 1500ft AGL\n'));
+	});
+
+	it('should write circles with V X= and DC', () => {
+		assert.ok(block('LZIB-A2755/25').includes('V X=48:24:06 N 017:07:11 E\nDC 3.02'));
+		assert.ok(block('EHAA-A0456/26').endsWith('V X=51:46:00 N 005:26:22 E\nDC 1'));
+		assert.ok(block('LEAN-R0300/26').includes('DC 0.27'));
+	});
+
+	it('should keep longitudes within 180° (KZAK-A0546/26)', () => {
+		assert.ok(block('KZAK-A0546/26').includes('DP 27:00:00 N 165:00:00 E'));
+	});
+
+	it('should leave out positions without radius and Q) line fallbacks', () => {
+		assert.equal(block('LFFA-W2942/24'), undefined);
+		assert.equal(block('LFFA-P3613/25'), undefined);
+	});
+
+	it('should infer the class from the Q-code', () => {
+		const classOf = code => openAirClass({ qualifier: { code } });
+		assert.equal(classOf('QRPCA'), 'P');
+		assert.equal(classOf('QRTCA'), 'R');
+		assert.equal(classOf('QACAH'), 'CTR');
+		assert.equal(classOf('QWULW'), 'Q');
+		assert.equal(openAirClass({ qualifier: null }), 'Q');
+	});
+});
+
+describe('GPX export', () => {
+	const gpx = notamsToGpx(groupNotamsByLocation(parseNotams(positionsText), true), new Date(Date.UTC(2026, 1, 9)));
+	const waypoint = id => gpx.split('<wpt ').find(w => w.includes(`<name>${id}</name>`));
+
+	it('should write one waypoint per position group', () => {
+		assert.ok(gpx.includes('<gpx version="1.1" creator="NOTAM Viewer" xmlns="http://www.topografix.com/GPX/1/1">'));
+		assert.ok(gpx.includes('<time>2026-02-09T00:00:00.000Z</time>'));
+		const w = waypoint('LFFA-W2942/24');
+		assert.ok(w.startsWith('lat="48.673333" lon="3.078056">'));
+		assert.ok(w.includes('<desc>ACTIVITE D&apos;AERONEFS TELEPILOTES'));
+		assert.ok(!w.includes('<ele>'));
+	});
+
+	it('should give obstacles their elevation in meters', () => {
+		const w = waypoint('LFFA-P4304/25');
+		assert.ok(w.includes('<ele>506.3</ele>'));
+		assert.ok(w.includes('<cmt>Crane, height 155 ft AGL, top 1661 ft AMSL, lighting day and night</cmt>'));
+		assert.ok(w.includes('<type>Obstacle</type>'));
+		assert.ok(waypoint('LOWW-A0089/26').includes('<ele>490.9</ele>'));
+	});
+
+	it('should merge co-located NOTAMs into one waypoint', () => {
+		const notams = parseNotams(`LFFA-P0101/26
+A)  LFPN
+Q)  LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E)  GRUE A TOUR
+PSN : 484636N 0020533E
+HAUTEUR : 108FT
+
+LFFA-P0102/26
+A)  LFPN
+Q)  LFFF / QOLAS / IV / M / A / 000/999 / 4845N00207E005
+E)  BALISAGE GRUE HORS SERVICE
+PSN : 484636N 0020533E`);
+		const merged = notamsToGpx(groupNotamsByLocation(notams, false));
+		assert.equal(merged.split('<wpt ').length - 1, 1);
+		assert.ok(merged.includes('<name>LFFA-P0101/26, LFFA-P0102/26</name>'));
+		assert.ok(!merged.includes('<ele>'));
+		assert.ok(merged.includes('<cmt>Crane, height 108 ft AGL</cmt>'));
+		assert.ok(merged.includes('<desc>LFFA-P0101/26: GRUE A TOUR\nPSN : 484636N 0020533E\nHAUTEUR : 108FT\n\nLFFA-P0102/26: BALISAGE'));
+	});
+
+	it('should leave out Q) line fallbacks', () => {
+		assert.equal(waypoint('LEAN-R0225/26'), undefined);
+	});
+});
+
+describe('CSV export', () => {
+	// Split a CSV text into rows of fields (RFC 4180)
+	function readCsv(text) {
+		const rows = [];
+		let row = [];
+		let field = '';
+		let quoted = false;
+		for (let i = 0; i < text.length; i++) {
+			const c = text[i];
+			if (quoted) {
+				if (c === '"' && text[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else if (c === '"') {
+					quoted = false;
+				} else {
+					field += c;
+				}
+			} else if (c === '"') {
+				quoted = true;
+			} else if (c === ',') {
+				row.push(field);
+				field = '';
+			} else if (c === '\r' && text[i + 1] === '\n') {
+				row.push(field);
+				rows.push(row);
+				row = [];
+				field = '';
+				i++;
+			} else {
+				field += c;
+			}
+		}
+		return rows;
+	}
+
+	const notams = parseNotams(positionsText + '\n\n' + areasText);
+	const rows = readCsv(notamsToCsv(notams));
+	const header = rows[0];
+	const rowsOf = id => rows.filter(r => r[0] === id).map(r => Object.fromEntries(header.map((name, i) => [name, r[i]])));
+
+	it('should write one row per position or area with the same columns', () => {
+		assert.equal(header.length, 21);
+		assert.ok(rows.every(r => r.length === header.length));
+		const [row] = rowsOf('LFFA-W2942/24');
+		assert.equal(row.Action, 'NOTAMN');
+		assert.equal(row['Q-code'], 'QWULW');
+		assert.equal(row.Traffic, 'IV');
+		assert.equal(row.Lower, 'SFC');
+		assert.equal(row.Upper, '1400 FT AMSL');
+		assert.equal(row.Start, '2025-01-20 07:32');
+		assert.equal(row.Permanent, 'no');
+		assert.equal(row['Coordinate type'], 'psn');
+		assert.equal(row.Latitude, '48.673333');
+		assert.equal(row.DMS, '48°40\'24.0"N / 003°04\'41.0"E');
+		assert.equal(rowsOf('LFFA-P3613/25')[0].Permanent, 'yes');
+	});
+
+	it('should give the radius in NM and the vertex count of areas', () => {
+		assert.equal(rowsOf('EHAA-A0456/26')[0]['Radius (NM)'], '1');
+		const area = rows.find(r => r[14] === 'area');
+		assert.ok(Number(area[19]) >= 3);
+		assert.equal(area[18], '');
+		// Arc points are not vertices
+		assert.equal(rowsOf('EGGN-J0230/26')[0].Vertices, '3');
+	});
+
+	it('should locate areas across the antimeridian within [-180, 180]', () => {
+		const csv = notamsToCsv(parseNotams(`KZAK-A0001/26
+A) KZAK
+Q) KZAK / QWMLW / IV / BO / W / 000/999 / 1100N17930W060
+E) AREA BOUNDED BY 100000N 1790000E - 100000N 1780000W - 120000N 1780000W - 120000N 1790000E - 100000N 1790000E`));
+		const [, row] = readCsv(csv);
+		assert.equal(row[14], 'area');
+		assert.equal(row[16], '-179.500000');
+	});
+
+	it('should round-trip multi-line texts with quotes', () => {
+		const [row] = rowsOf('LFFA-W2942/24');
+		const notam = notams.find(n => n.id === 'LFFA-W2942/24');
+		assert.ok(row['E) text'].includes('\n'));
+		assert.ok(notam.fullContent.includes(row['E) text']));
+	});
+
+	it('should quote fields with quotes and commas', () => {
+		const csv = notamsToCsv(parseNotams(`LFFA-P0101/26
+A) LFPN
+Q) LFFF / QOBCE / IV / M / A / 000/999 / 4845N00207E005
+E) "GRUES", PROCHE AD
+PSN : 484636N 0020533E
+PSN : 484700N 0020547E`));
+		assert.ok(csv.includes('"""GRUES"", PROCHE AD'));
+		const parsed = readCsv(csv);
+		assert.equal(parsed.length, 3);
+		assert.equal(parsed[2][20], '"GRUES", PROCHE AD\nPSN : 484636N 0020533E\nPSN : 484700N 0020547E');
+		assert.equal(parsed[2][15], '48.783333');
+	});
+});
+
+describe('briefing pack', () => {
+	const noFilters = () => ({
+		altitude: { min: null, max: null },
+		time: { at: new Date(), validOnly: false },
+		categories: new Set(),
+		firs: new Set(),
+		traffic: new Set(),
+		purpose: new Set(),
+		scope: new Set()
+	});
+
+	it('should group NOTAMs by aerodrome with their map numbers', () => {
+		const a = { id: 'A1', fullContent: 'A1' };
+		const b = { id: 'B1', fullContent: 'B1' };
+		const c = { id: 'C1', fullContent: 'C1' };
+		const sections = briefingPackSections([
+			{ index: 1, icaoCodes: ['LFPN'], notams: [a] },
+			{ index: 2, icaoCodes: ['LFAK'], notams: [b] },
+			{ index: 3, icaoCodes: ['LFPN'], notams: [a, c] },
+			{ index: 4, icaoCodes: [], notams: [{ id: 'D1' }] }
+		]);
+		assert.deepEqual(Array.from(sections, s => s.aerodrome), ['LFAK', 'LFPN', 'Unknown location']);
+		const lfpn = sections[1].items;
+		assert.deepEqual(Array.from(lfpn, i => i.notam.id), ['A1', 'C1']);
+		assert.deepEqual(Array.from(lfpn[0].indexes), [1, 3]);
+		assert.deepEqual(Array.from(lfpn[1].indexes), [3]);
+	});
+
+	it('should number the NOTAMs of the positions test file once each', () => {
+		const groups = groupNotamsByLocation(parseNotams(positionsText), false);
+		const entries = [...groups.values()].map((group, i) => ({ index: i + 1, icaoCodes: group.icaoCodes, notams: group.notams }));
+		const ids = briefingPackSections(entries).flatMap(s => s.items.map(i => i.notam.id));
+		assert.equal(new Set(ids).size, ids.length);
+		assert.ok(ids.includes('LFFA-P3613/25'));
+	});
+
+	it('should describe the filters in effect', () => {
+		assert.deepEqual(Array.from(describeFilters(noFilters(), false, null)), []);
+		const filters = noFilters();
+		filters.altitude = { min: null, max: 6500 };
+		filters.time.validOnly = true;
+		filters.firs = new Set(['LFFF', 'LFRR']);
+		filters.traffic = new Set(['V']);
+		const route = { points: [{ name: 'LFPN' }, { name: 'LFAK' }], halfWidth: 10 };
+		assert.deepEqual(Array.from(describeFilters(filters, true, route)), [
+			'Altitude SFC to 6500 ft',
+			'Valid at briefing time only',
+			'FIR: LFFF, LFRR',
+			'Traffic: V',
+			'Route LFPN LFAK (10 NM each side)',
+			'NOTAMs without position shown'
+		]);
+	});
+});
+
+describe('map legend and scale', () => {
+	const groups = [...groupNotamsByLocation(parseNotams(positionsText), true).values()];
+	const groupOf = id => groups.find(g => g.notams.some(n => n.id === id));
+
+	it('should tell the kind of marker of a location group', () => {
+		assert.equal(markerKind(groupOf('LFFA-W2942/24'), 'active'), 'position');
+		assert.equal(markerKind(groupOf('LFFA-P4304/25'), 'active'), 'obstacle');
+		assert.equal(markerKind(groupOf('LFFA-P4304/25'), 'expired'), 'obstacle');
+		assert.equal(markerKind(groupOf('LEAN-R0225/26'), 'active'), 'qualifierLine');
+		assert.equal(markerKind(groupOf('LFFA-W2942/24'), 'upcoming'), 'upcoming');
+		assert.equal(markerKind({ ...groupOf('LFFA-W2942/24'), obsolete: true }, 'expired'), 'obsolete');
+	});
+
+	it('should tell the kind of area of a polygon NOTAM', () => {
+		const notam = { id: 'A1/26', startDate: new Date('2026-02-01T00:00Z'), endDate: new Date('2026-02-28T00:00Z') };
+		assert.equal(polygonKind(notam, new Date('2026-02-10T00:00Z')), 'area');
+		assert.equal(polygonKind(notam, new Date('2026-01-10T00:00Z')), 'areaUpcoming');
+		assert.equal(polygonKind(notam, new Date('2026-03-10T00:00Z')), 'areaExpired');
+		assert.equal(polygonKind({ ...notam, replacedBy: 'A2/26' }, new Date('2026-02-10T00:00Z')), 'areaObsolete');
+	});
+
+	it('should list only the drawn kinds, in legend order', () => {
+		const html = buildLegendHtml(new Set(['route', 'area', 'position']));
+		const labels = [...html.matchAll(/<\/span>([^<]+)<\/div>/g)].map(m => m[1]);
+		assert.deepEqual(labels, ['Position (PSN)', 'Area', 'Route']);
+		assert.ok(html.includes('background: #ffe4cc'));
+		assert.equal(buildLegendHtml(new Set()), '');
+	});
+
+	it('should mix colours with white', () => {
+		assert.equal(mixWithWhite('#ff7800', 0.2), '#ffe4cc');
+		assert.equal(mixWithWhite('#000000', 1), '#000000');
+	});
+
+	it('should round scale bars to 1, 2, 3 or 5 units', () => {
+		// 100 px at 200 m per px: 20 km and 10 NM (18.52 km)
+		const [metric, nautical] = Array.from(scaleBars(200, 100), b => ({ ...b }));
+		assert.equal(metric.label, '20 km');
+		assert.equal(metric.length, 100);
+		assert.equal(nautical.label, '10 NM');
+		assert.ok(Math.abs(nautical.length - 92.6) < 1e-9);
+		const small = Array.from(scaleBars(3, 100), b => b.label);
+		assert.deepEqual(small, ['300 m', '0.1 NM']);
+		assert.equal(scaleBars(50, 100)[1].label, '2 NM');
+	});
+});
+
 // Integration tests: statistics
 
 const statisticsTests = [
-	{ file: 'Europe-20260203.txt', all: 10814, noPosition: 7282, positions: 2550, areas: 982 },
-	{ file: 'LPPT-EPWA-20260207.txt', all: 975, noPosition: 410, positions: 448, areas: 117 },
-	{ file: 'EGPD-LFKC-20260207.txt', all: 674, noPosition: 228, positions: 405, areas: 41 },
+	{ file: 'Europe-20260203.txt', all: 10814, noPosition: 7271, positions: 2521, areas: 1022 },
+	{ file: 'LPPT-EPWA-20260207.txt', all: 975, noPosition: 409, positions: 445, areas: 121 },
+	{ file: 'EGPD-LFKC-20260207.txt', all: 673, noPosition: 227, positions: 406, areas: 40 },
 	{ file: 'KJFK-KLAX-20260209.txt', all: 449, noPosition: 355, positions: 93, areas: 1 },
 	{ file: 'CYQB-CYVR-20260209.txt', all: 366, noPosition: 122, positions: 242, areas: 2 },
 	{ file: 'CYTZ-SAWG-20260209.txt', all: 552, noPosition: 375, positions: 161, areas: 16 },
-	{ file: 'EGLL-FACT-20260209.txt', all: 756, noPosition: 388, positions: 320, areas: 48 },
-	{ file: 'ENGM-YSCB-20260209.txt', all: 519, noPosition: 281, positions: 160, areas: 78 },
-	{ file: 'LEMD-UHWW-20260209.txt', all: 1431, noPosition: 605, positions: 650, areas: 176 },
-	{ file: 'LSHJ-ZBAA-20260209.txt', all: 1336, noPosition: 475, positions: 753, areas: 108 },
-	{ file: 'SBBE-VIDP-20260209.txt', all: 310, noPosition: 264, positions: 24, areas: 22 },
+	{ file: 'EGLL-FACT-20260209.txt', all: 755, noPosition: 382, positions: 326, areas: 47 },
+	{ file: 'ENGM-YSCB-20260209.txt', all: 523, noPosition: 281, positions: 50, areas: 192 },
+	{ file: 'LEMD-UHWW-20260209.txt', all: 1438, noPosition: 604, positions: 550, areas: 284 },
+	{ file: 'LSHJ-ZBAA-20260209.txt', all: 1336, noPosition: 470, positions: 756, areas: 110 },
+	{ file: 'SBBE-VIDP-20260209.txt', all: 310, noPosition: 262, positions: 24, areas: 24 },
 	{ file: 'World-20260207.txt', all: 36465, noPosition: 26418, positions: 6567, areas: 3480 },
 ];
 
@@ -651,7 +2241,7 @@ const coordinateExclusions = new Set([
 ]);
 
 function assertCoordinatesNearQualifierLine(notams, maxDist) {
-	const decoded = notams.filter(n => !n.isPolygon && n.coordinates.some(c => c.type === 'psn'));
+	const decoded = notams.filter(n => !n.isPolygon && n.coordinates.some(c => c.type === 'psn' || c.type === 'derived'));
 	for (const n of decoded) {
 		if (coordinateExclusions.has(n.id)) continue;
 		const sections = parseSections(n.fullContent);
@@ -680,7 +2270,7 @@ for (const t of statisticsTests) {
 		const text = readFileSync(new URL(`./testdata/${t.file}`, import.meta.url), 'utf-8');
 		const notams = parseNotams(text);
 		const areas = notams.filter(n => n.isPolygon).length;
-		const positions = notams.filter(n => !n.isPolygon && n.coordinates.some(c => c.type === 'psn')).length;
+		const positions = notams.filter(n => !n.isPolygon && n.coordinates.some(c => c.type === 'psn' || c.type === 'derived')).length;
 		const noPosition = notams.filter(n => !n.isPolygon && n.coordinates.every(c => c.type === 'qualifierLine')).length;
 
 		it('should count all NOTAMs', () => {